@@ -1,4 +1,4 @@
-import { AssetManager, Renderer, Geometry } from './renderCore.js';
+import { AssetManager, Renderer, Geometry, Stations, Compliance, Zones, Inventory, Files } from './renderCore.js';
 
 const editorState = {
     canvas: null,
@@ -33,11 +33,47 @@ const editorState = {
     assetsLoaded: false,
     activeBuildingId: null, // "global" or building key
     selectedStrokeId: null, // Track currently selected feature
+    selectedStrokeIds: [], // Whole selection when several strokes are picked; selectedStrokeId is its primary item
+    selectionTool: "box", // "box" or "lasso" for dragging out a selection
+    marquee: null, // { points, lasso, additive } while a selection is dragged out
+    clipboard: null, // { strokes, anchor } from copySelection; survives floor and building switches
+    arrayTool: { type: "bait", count: null, spacing: 5 }, // Array mode: icon type and count, else spacing in meters
+    arrayPick: null, // Existing path under the pointer when an array gesture started
+    shapeTool: { radius: null, sides: 6, align: "view" }, // Fixed radius in meters (null = dragged), polygon sides, rectangle alignment
+    grid: { enabled: false, size: 1, visible: true }, // Drawing grid in meters, turned to the building orientation
+    angleStep: 45, // Degrees Shift locks line, polygon and zone segments to, relative to the building
+    lastPointer: null, // Last canvas position of the pointer, for pasting at the cursor
+    selectedVertex: null, // Highlighted vertex of the selected stroke in vertex mode
+    vertexEdit: null, // { stroke, index } while a vertex is dragged
     imageLocked: false,
-    store: {}, // Key -> { floors: {...}, activeFloor: "..." }
+    store: {}, // Key -> { floors: {...}, activeFloor: "...", stationCounters: {...}, numbering: {...} }
+    stationCounters: {}, // type -> next number for the active building
+    numbering: {}, // Numbering overrides of the active building: { type: { prefix, start, pad } }
+    statusFilter: null, // null shows every status
+    route: null, // { floor, startId, stopIds, legs, length }
+    coverage: null, // { maxGap, wallDistance } while the gap overlay is shown
+    proposals: [], // Ghost stations waiting to be accepted: { id, type, point }
+    heatmap: null, // { radiusMeters, ramp, from, to, opacity } while the activity heatmap is shown
+    violations: [], // Last compliance evaluation, highlighted on the canvas
+    zoneDraft: null, // Points of the zone being clicked out
+    zoneHover: null,
+    zoneDefaults: { name: "", category: "storage", riskLevel: "low", pattern: "solid" }, // Applied to new zones
+    snap: { enabled: true, tolerance: 12, disableKey: "Control", vertexDeleteKeys: ["Alt", "Control", "Meta"] }, // Hold disableKey to place freely; a vertex clicked with one of vertexDeleteKeys other than disableKey is deleted
+    snapTargets: null, // { exclude, targets } projected for the current view, dropped on every redraw
+    snapIndicator: null, // { x, y, kind } of the current snap target
+    measurement: null, // { points, closed, done } of the measure tool
+    measureHover: null,
+    measureDrag: null, // Screen point where the measuring pointer went down
+    keepMeasurements: false, // Store finished measurements as "measure" annotation strokes
+    simplify: { enabled: true, tolerance: 1.5, unit: "px", smoothing: 0 }, // Applied to freehand strokes when they are finished
+    history: { past: [], future: [] }, // Undo steps, building switches included: { actions, activeFloor, selectedStrokeId, mergeKey, time }
+    historyMergeWindow: 600, // ms within which repeated edits with the same merge key fold into one undo step
+    exporting: false, // Set while redraw renders a floor into an exported image; leaves out editing aids
     activePointers: new Map() // ID -> { x, y }
 };
 
+let selectionListener = null;
+
 function loadAssets() {
     return AssetManager.loadAll().then(() => {
         editorState.assetsLoaded = true;
@@ -149,39 +185,7 @@ function getRotationCenter() {
 }
 
 function estimateOutlineAngle() {
-    if (!editorState.outline || editorState.outline.length < 2) return 0;
-
-    // Project outline to a local planar space (lng scaled by cos(lat))
-    const latCenter =
-        editorState.outline.reduce((sum, p) => sum + p.lat, 0) / editorState.outline.length;
-    const cosLat = Math.max(Math.cos((latCenter * Math.PI) / 180), 0.01);
-    const pts = editorState.outline.map((p) => ({
-        x: p.lng * cosLat,
-        y: p.lat
-    }));
-
-    // Compute covariance for PCA
-    const n = pts.length;
-    const meanX = pts.reduce((s, p) => s + p.x, 0) / n;
-    const meanY = pts.reduce((s, p) => s + p.y, 0) / n;
-    let varX = 0,
-        varY = 0,
-        covXY = 0;
-    pts.forEach((p) => {
-        const dx = p.x - meanX;
-        const dy = p.y - meanY;
-        varX += dx * dx;
-        varY += dy * dy;
-        covXY += dx * dy;
-    });
-    varX /= n;
-    varY /= n;
-    covXY /= n;
-
-    const angle = 0.5 * Math.atan2(2 * covXY, varX - varY); // principal axis
-    let deg = (angle * 180) / Math.PI;
-    if (isNaN(deg)) deg = 0;
-    return deg;
+    return Geometry.orientation(editorState.outline);
 }
 
 function ensureCanvasSize() {
@@ -363,89 +367,15 @@ function startImageInteraction(hit, e) {
 function updateImageInteraction(e) {
     const inter = editorState.imageInteraction;
     if (!inter) return;
+    // One undo step per gesture, taken once it actually moves something
+    if (!inter.recorded) {
+        if (inter.target === 'stroke') recordModify(inter.items.map((item) => item.stroke));
+        else recordOverlay(getActiveFloorState());
+        inter.recorded = true;
+    }
 
     if (inter.target === 'stroke') {
-        const stroke = inter.stroke;
-        const center = inter.startCenter;
-
-        if (inter.type === "drag") {
-            const currentWorld = unproject(e.offsetX, e.offsetY);
-            const dxWorld = currentWorld.lng - inter.startWorld.lng;
-            const dyWorld = currentWorld.lat - inter.startWorld.lat;
-
-            stroke.points = inter.startPoints.map(p => ({
-                lng: p.lng + dxWorld,
-                lat: p.lat + dyWorld
-            }));
-        } else if (inter.type === "rotate") {
-            const angleNow = Math.atan2(e.offsetY - center.y, e.offsetX - center.x);
-            const startAngle = Math.atan2(inter.startPoint.y - center.y, inter.startPoint.x - center.x);
-            const deltaDeg = (angleNow - startAngle) * 180 / Math.PI;
-
-            const isPointBased = stroke.type === "note" || stroke.type === "point" || AssetManager.get(stroke.type);
-            if (isPointBased) {
-                stroke.rotation = inter.startRotation + deltaDeg;
-            } else {
-                const rad = deltaDeg * Math.PI / 180;
-                stroke.points = inter.startPoints.map(p => {
-                    const sc = project(p);
-                    const dx = sc.x - center.x;
-                    const dy = sc.y - center.y;
-                    const nx = dx * Math.cos(rad) - dy * Math.sin(rad);
-                    const ny = dx * Math.sin(rad) + dy * Math.cos(rad);
-                    return unproject(center.x + nx, center.y + ny);
-                });
-            }
-        } else if (inter.type === "scale" || inter.type === "scale-axis") {
-            const isPointBased = stroke.type === "note" || stroke.type === "point" || AssetManager.get(stroke.type);
-
-            if (inter.type === "scale") {
-                const startDist = Math.hypot(inter.startPoint.x - center.x, inter.startPoint.y - center.y);
-                const currDist = Math.hypot(e.offsetX - center.x, e.offsetY - center.y);
-                if (startDist < 1) return;
-                const scale = currDist / startDist;
-
-                if (isPointBased) {
-                    stroke.width = Math.max(1, Math.round(inter.startWidth * scale));
-                } else {
-                    stroke.points = inter.startPoints.map(p => {
-                        const sc = project(p);
-                        const dx = (sc.x - center.x) * scale;
-                        const dy = (sc.y - center.y) * scale;
-                        return unproject(center.x + dx, center.y + dy);
-                    });
-                }
-            } else {
-                // axis scaling
-                let sx = 1, sy = 1;
-                const sdx = Math.abs(inter.startPoint.x - center.x);
-                const sdy = Math.abs(inter.startPoint.y - center.y);
-                const dx = Math.abs(e.offsetX - center.x);
-                const dy = Math.abs(e.offsetY - center.y);
-
-                if (inter.handle === "left" || inter.handle === "right") {
-                    if (sdx < 1) return;
-                    sx = dx / sdx;
-                }
-                if (inter.handle === "top" || inter.handle === "bottom") {
-                    if (sdy < 1) return;
-                    sy = dy / sdy;
-                }
-
-                if (isPointBased) {
-                    const scale = (inter.handle === "left" || inter.handle === "right") ? sx : sy;
-                    stroke.width = Math.max(1, Math.round(inter.startWidth * scale));
-                } else {
-                    stroke.points = inter.startPoints.map(p => {
-                        const sc = project(p);
-                        const nx = (sc.x - center.x) * sx;
-                        const ny = (sc.y - center.y) * sy;
-                        return unproject(center.x + nx, center.y + ny);
-                    });
-                }
-            }
-        }
-        redraw();
+        updateStrokeTransform(inter, e);
         return;
     }
 
@@ -546,6 +476,432 @@ function updateImageInteraction(e) {
     }
 }
 
+function isPointBasedStroke(stroke) {
+    return stroke.type === "note" || stroke.type === "point" || !!AssetManager.get(stroke.type);
+}
+
+// Moves, rotates or scales every selected stroke around the shared start center. A lone icon or
+// note turns/grows in place; inside a group, icons and notes travel with the other shapes.
+function updateStrokeTransform(inter, e) {
+    const center = inter.startCenter;
+    const group = inter.items.length > 1;
+    const transformPoints = (item, fn) => item.startPoints.map(p => {
+        const sc = project(p);
+        const next = fn(sc.x - center.x, sc.y - center.y);
+        return unproject(center.x + next.x, center.y + next.y);
+    });
+
+    let apply = null;
+    if (inter.type === "drag") {
+        const currentWorld = unproject(e.offsetX, e.offsetY);
+        const dxWorld = currentWorld.lng - inter.startWorld.lng;
+        const dyWorld = currentWorld.lat - inter.startWorld.lat;
+
+        apply = (item) => {
+            item.stroke.points = item.startPoints.map(p => ({
+                lng: p.lng + dxWorld,
+                lat: p.lat + dyWorld
+            }));
+        };
+    } else if (inter.type === "rotate") {
+        const angleNow = Math.atan2(e.offsetY - center.y, e.offsetX - center.x);
+        const startAngle = Math.atan2(inter.startPoint.y - center.y, inter.startPoint.x - center.x);
+        const deltaDeg = (angleNow - startAngle) * 180 / Math.PI;
+        const rad = deltaDeg * Math.PI / 180;
+
+        apply = (item) => {
+            const isPointBased = isPointBasedStroke(item.stroke);
+            if (isPointBased) {
+                item.stroke.rotation = item.startRotation + deltaDeg;
+            }
+            if (!isPointBased || group) {
+                item.stroke.points = transformPoints(item, (dx, dy) => ({
+                    x: dx * Math.cos(rad) - dy * Math.sin(rad),
+                    y: dx * Math.sin(rad) + dy * Math.cos(rad)
+                }));
+            }
+        };
+    } else if (inter.type === "scale" || inter.type === "scale-axis") {
+        let sx = 1, sy = 1;
+        if (inter.type === "scale") {
+            const startDist = Math.hypot(inter.startPoint.x - center.x, inter.startPoint.y - center.y);
+            const currDist = Math.hypot(e.offsetX - center.x, e.offsetY - center.y);
+            if (startDist < 1) return;
+            sx = sy = currDist / startDist;
+        } else {
+            // axis scaling
+            const sdx = Math.abs(inter.startPoint.x - center.x);
+            const sdy = Math.abs(inter.startPoint.y - center.y);
+            const dx = Math.abs(e.offsetX - center.x);
+            const dy = Math.abs(e.offsetY - center.y);
+
+            if (inter.handle === "left" || inter.handle === "right") {
+                if (sdx < 1) return;
+                sx = dx / sdx;
+            }
+            if (inter.handle === "top" || inter.handle === "bottom") {
+                if (sdy < 1) return;
+                sy = dy / sdy;
+            }
+        }
+        const widthScale = (inter.handle === "top" || inter.handle === "bottom") ? sy : sx;
+
+        apply = (item) => {
+            if (isPointBasedStroke(item.stroke) && !group) {
+                item.stroke.width = Math.max(1, Math.round(item.startWidth * widthScale));
+            } else {
+                item.stroke.points = transformPoints(item, (dx, dy) => ({ x: dx * sx, y: dy * sy }));
+            }
+        };
+    }
+    if (!apply) return;
+    inter.items.forEach(apply);
+    redraw();
+}
+
+function startStrokeTransform(type, handle, strokes, bounds, e) {
+    editorState.imageInteraction = {
+        type,
+        handle,
+        target: 'stroke',
+        items: strokes.map((stroke) => ({
+            stroke,
+            startPoints: stroke.points.map(p => ({ ...p })),
+            startRotation: stroke.rotation || 0,
+            startWidth: stroke.width || 4
+        })),
+        startWorld: unproject(e.offsetX, e.offsetY),
+        startCenter: bounds ? bounds.center : { x: e.offsetX, y: e.offsetY },
+        startPoint: { x: e.offsetX, y: e.offsetY }
+    };
+}
+
+// Selected strokes on the active floor; falls back to the single selectedStrokeId when the
+// multi-selection list was not kept in sync with it.
+function getSelectedStrokes() {
+    const floor = getActiveFloorState();
+    if (!floor || editorState.selectedStrokeId === null) return [];
+    const ids = editorState.selectedStrokeIds.includes(editorState.selectedStrokeId)
+        ? editorState.selectedStrokeIds
+        : [editorState.selectedStrokeId];
+    return floor.strokes.filter((s) => ids.includes(s.id) && isStrokeVisible(s));
+}
+
+function getSelectionBounds(strokes) {
+    const items = strokes.map((stroke) => ({ feature: stroke, screenPoints: stroke.points.map(project) }));
+    return items.length === 1
+        ? Geometry.getFeatureBounds(editorState.ctx, items[0].feature, items[0].screenPoints)
+        : Geometry.getCombinedBounds(editorState.ctx, items);
+}
+
+function toggleSelectedStroke(stroke) {
+    const ids = getSelectedStrokes().map((s) => s.id);
+    const next = ids.includes(stroke.id) ? ids.filter((id) => id !== stroke.id) : [...ids, stroke.id];
+    editorState.selectedStrokeIds = next;
+    editorState.selectedStrokeId = next.length ? next[next.length - 1] : null;
+    notifySelection(next.length ? findStrokeById(editorState.selectedStrokeId) : null);
+}
+
+function finishMarquee() {
+    const marquee = editorState.marquee;
+    editorState.marquee = null;
+    const floor = getActiveFloorState();
+    if (floor && marquee.points.length >= 2) {
+        const hits = floor.strokes.filter((s) => s.points?.length && isStrokeVisible(s) &&
+            Geometry.isInsideMarquee(s.points.map(project), marquee.points, marquee.lasso));
+        const ids = marquee.additive ? getSelectedStrokes().map((s) => s.id) : [];
+        hits.forEach((s) => {
+            if (!ids.includes(s.id)) ids.push(s.id);
+        });
+        editorState.selectedStrokeIds = ids;
+        editorState.selectedStrokeId = ids.length ? ids[ids.length - 1] : null;
+        notifySelection(ids.length ? findStrokeById(editorState.selectedStrokeId) : null);
+    }
+    redraw();
+}
+
+function cloneStroke(s) {
+    const copy = { ...s, points: (s.points || []).map((p) => ({ ...p })) };
+    if (Array.isArray(s.inspections)) copy.inspections = s.inspections.map((i) => ({ ...i }));
+    return copy;
+}
+
+// Overlays share their loaded image between history entries; only its placement and opacity are copied.
+function cloneOverlay(overlay) {
+    if (!overlay) return null;
+    const frame = overlay.frame ? { ...overlay.frame, center: { ...overlay.frame.center } } : null;
+    return { ...overlay, frame };
+}
+
+function floorNameOf(floor) {
+    return Object.keys(editorState.floors).find((name) => editorState.floors[name] === floor) ?? null;
+}
+
+function floorOfStroke(stroke) {
+    return Object.keys(editorState.floors).find((name) => editorState.floors[name]?.strokes?.includes(stroke)) ?? null;
+}
+
+// `buildActions` only runs when the step is not folded into the previous one with the same `mergeKey`.
+function recordCommand(buildActions, mergeKey = null) {
+    const history = editorState.history;
+    const now = Date.now();
+    const last = history.past[history.past.length - 1];
+    history.future = [];
+    if (mergeKey && last && last.mergeKey === mergeKey && now - last.time <= editorState.historyMergeWindow) {
+        last.time = now;
+        return;
+    }
+    history.past.push({
+        actions: buildActions(),
+        activeFloor: editorState.activeFloor,
+        selectedStrokeId: editorState.selectedStrokeId,
+        mergeKey,
+        time: now
+    });
+    if (history.past.length > 100) {
+        history.past.shift();
+    }
+}
+
+// Strokes of other buildings are skipped; each building only undoes its own edits.
+function activeStrokes(strokes) {
+    return strokes.map((s) => ({ stroke: s, floor: floorOfStroke(s) })).filter((entry) => entry.floor !== null);
+}
+
+// After strokes were added.
+function recordAdd(strokes) {
+    const added = activeStrokes(strokes);
+    if (!added.length) return;
+    recordCommand(() => added.map(({ stroke, floor }) => ({ type: "remove", floor, id: stroke.id })));
+}
+
+// Before strokes are removed.
+function recordRemove(strokes) {
+    const removed = activeStrokes(strokes);
+    if (!removed.length) return;
+    recordCommand(() => removed
+        .map(({ stroke, floor }) => ({ type: "insert", floor, stroke: cloneStroke(stroke), index: editorState.floors[floor].strokes.indexOf(stroke) }))
+        .sort((a, b) => a.index - b.index));
+}
+
+// Before strokes are changed in place; only copies of those strokes are kept.
+function recordModify(strokes) {
+    const changed = activeStrokes(strokes);
+    if (!changed.length) return;
+    recordCommand(() => changed.map(({ stroke, floor }) => ({ type: "restore", floor, id: stroke.id, data: cloneStroke(stroke) })));
+}
+
+// Before the image overlay of `floor` is placed, changed or cleared.
+function recordOverlay(floor, mergeKey = null) {
+    const name = floorNameOf(floor);
+    if (name === null) return;
+    recordCommand(() => [{ type: "overlay", floor: name, overlay: cloneOverlay(floor.imageOverlay) }], mergeKey && `${mergeKey}:${name}`);
+}
+
+// Applies undo actions last to first and returns their inverses, which the opposite stack applies the same way.
+function applyActions(actions) {
+    const inverse = [];
+    for (let i = actions.length - 1; i >= 0; i--) {
+        const action = actions[i];
+        if (action.type === "context") {
+            inverse.push({ type: "context", buildingId: editorState.activeBuildingId || "global", outline: editorState.outline });
+            switchContext(action.buildingId);
+            editorState.outline = action.outline || [];
+            computeTransform();
+            notifyContextChange(action.buildingId);
+            continue;
+        }
+        if (action.type === "floor") {
+            inverse.push({ type: "floor", floor: action.floor, data: editorState.floors[action.floor] || null });
+            if (action.data) editorState.floors[action.floor] = action.data;
+            else delete editorState.floors[action.floor];
+            continue;
+        }
+        const floor = editorState.floors[action.floor];
+        if (!floor) continue;
+        const idx = action.id !== undefined ? floor.strokes.findIndex((s) => s.id === action.id) : -1;
+        switch (action.type) {
+            case "remove": {
+                if (idx < 0) break;
+                const [removed] = floor.strokes.splice(idx, 1);
+                inverse.push({ type: "insert", floor: action.floor, stroke: removed, index: idx });
+                break;
+            }
+            case "insert": {
+                const stroke = cloneStroke(action.stroke);
+                floor.strokes.splice(Math.min(action.index, floor.strokes.length), 0, stroke);
+                inverse.push({ type: "remove", floor: action.floor, id: stroke.id });
+                break;
+            }
+            case "restore": {
+                if (idx < 0) break;
+                const stroke = floor.strokes[idx];
+                inverse.push({ type: "restore", floor: action.floor, id: action.id, data: cloneStroke(stroke) });
+                Object.keys(stroke).forEach((key) => delete stroke[key]);
+                Object.assign(stroke, cloneStroke(action.data));
+                break;
+            }
+            case "overlay":
+                inverse.push({ type: "overlay", floor: action.floor, overlay: cloneOverlay(floor.imageOverlay) });
+                floor.imageOverlay = cloneOverlay(action.overlay);
+                break;
+        }
+    }
+    return inverse;
+}
+
+function stepHistory(from, to) {
+    const entry = from.pop();
+    if (!entry) return;
+    // A new edit must not fold into the step now on top
+    if (from.length) from[from.length - 1].mergeKey = null;
+    const activeFloor = editorState.activeFloor;
+    const selectedStrokeId = editorState.selectedStrokeId;
+    to.push({ actions: applyActions(entry.actions), activeFloor, selectedStrokeId, mergeKey: null, time: 0 });
+    if (editorState.floors[entry.activeFloor]) {
+        editorState.activeFloor = entry.activeFloor;
+    } else if (!editorState.floors[editorState.activeFloor]) {
+        editorState.activeFloor = Object.keys(editorState.floors)[0] ?? null;
+    }
+    // Zone links of strokes the step didn't touch may have changed with it
+    new Set(entry.actions.map((a) => a.floor)).forEach((name) => {
+        if (editorState.floors[name]) updateZoneAssociations(editorState.floors[name].strokes);
+    });
+    const restored = findStrokeById(entry.selectedStrokeId);
+    editorState.selectedStrokeId = restored && floorOfStroke(restored) !== null ? restored.id : null;
+    editorState.selectedStrokeIds = [];
+    editorState.selectedVertex = null;
+    editorState.vertexEdit = null;
+    editorState.imageInteraction = null;
+    editorState.route = null;
+    notifySelection(editorState.selectedStrokeId !== null ? restored : null);
+    redraw();
+}
+
+export function undo() {
+    stepHistory(editorState.history.past, editorState.history.future);
+    return editorState.selectedStrokeId;
+}
+
+export function redo() {
+    stepHistory(editorState.history.future, editorState.history.past);
+    return editorState.selectedStrokeId;
+}
+
+function centroidOf(strokes) {
+    const pts = strokes.flatMap((s) => s.points || []);
+    if (!pts.length) return null;
+    return {
+        lng: pts.reduce((sum, p) => sum + p.lng, 0) / pts.length,
+        lat: pts.reduce((sum, p) => sum + p.lat, 0) / pts.length
+    };
+}
+
+// Adds copies of `strokes` to the active floor shifted by the lng/lat delta and selects them.
+// Stations get fresh numbers for this building and an empty inspection log.
+function pasteStrokes(strokes, dLng, dLat) {
+    const floor = getActiveFloorState();
+    if (!floor || !strokes.length) return [];
+    const pasted = strokes.map((s) => {
+        const copy = cloneStroke(s);
+        copy.id = Date.now() + Math.random();
+        copy.points = copy.points.map((p) => ({ lng: p.lng + dLng, lat: p.lat + dLat }));
+        delete copy.number;
+        delete copy.statusChangedAt;
+        delete copy.zoneId;
+        initIconStroke(copy);
+        floor.strokes.push(copy);
+        return copy;
+    });
+    recordAdd(pasted);
+    updateZoneAssociations(floor.strokes);
+    editorState.selectedStrokeIds = pasted.map((s) => s.id);
+    editorState.selectedStrokeId = pasted[pasted.length - 1].id;
+    notifySelection(pasted[pasted.length - 1]);
+    redraw();
+    return editorState.selectedStrokeIds.slice();
+}
+
+export function copySelection() {
+    const selection = getSelectedStrokes();
+    if (!selection.length) return 0;
+    editorState.clipboard = { strokes: selection.map(cloneStroke), anchor: centroidOf(selection) };
+    return selection.length;
+}
+
+export function cutSelection() {
+    const count = copySelection();
+    if (count) deleteSelected();
+    return count;
+}
+
+// Pastes onto the active floor of the active building, at the copied location or centered on the
+// last pointer position.
+export function pasteClipboard(atCursor = false) {
+    const clip = editorState.clipboard;
+    if (!clip || !clip.strokes.length || !editorState.transform) return [];
+    let dLng = 0;
+    let dLat = 0;
+    if (atCursor && editorState.lastPointer && clip.anchor) {
+        const target = unproject(editorState.lastPointer.x, editorState.lastPointer.y);
+        dLng = target.lng - clip.anchor.lng;
+        dLat = target.lat - clip.anchor.lat;
+    }
+    return pasteStrokes(clip.strokes, dLng, dLat);
+}
+
+export function duplicateSelection() {
+    const selection = getSelectedStrokes();
+    if (!selection.length || !editorState.transform) return [];
+    // Offset the copies a little so they don't hide the originals
+    const a = unproject(0, 0);
+    const b = unproject(16, 16);
+    return pasteStrokes(selection, b.lng - a.lng, b.lat - a.lat);
+}
+
+export function getSelectedIds() {
+    return getSelectedStrokes().map((s) => s.id);
+}
+
+export function selectStrokes(ids) {
+    const floor = getActiveFloorState();
+    const wanted = Array.isArray(ids) ? ids : [];
+    editorState.selectedStrokeIds = (floor?.strokes || [])
+        .filter((s) => wanted.includes(s.id) && isStrokeVisible(s))
+        .map((s) => s.id);
+    const count = editorState.selectedStrokeIds.length;
+    editorState.selectedStrokeId = count ? editorState.selectedStrokeIds[count - 1] : null;
+    notifySelection(count ? findStrokeById(editorState.selectedStrokeId) : null);
+    redraw();
+}
+
+export function setSelectionTool(tool) {
+    editorState.selectionTool = tool === "lasso" ? "lasso" : "box";
+}
+
+export function setSelectionStyle(color, width) {
+    const selection = getSelectedStrokes();
+    if (!selection.length || (!color && !width)) return;
+    recordModify(selection);
+    selection.forEach((s) => {
+        if (color) s.color = color;
+        if (width) s.width = width;
+    });
+    redraw();
+}
+
+export function deleteSelected() {
+    const floor = getActiveFloorState();
+    const selection = getSelectedStrokes();
+    if (!floor || !selection.length) return;
+    recordRemove(selection);
+    floor.strokes = floor.strokes.filter((s) => !selection.includes(s));
+    editorState.selectedStrokeId = null;
+    editorState.selectedStrokeIds = [];
+    notifySelection(null);
+    redraw();
+}
+
 function endImageInteraction() {
     editorState.imageInteraction = null;
 }
@@ -608,26 +964,32 @@ function drawImageOverlay() {
     editorState.ctx.drawImage(img, 0, 0);
     editorState.ctx.restore();
 
-    if (editorState.mode === "select") {
+    if (editorState.mode === "select" && !editorState.exporting) {
         drawImageControls();
     }
 }
 
 function redraw() {
+    editorState.snapTargets = null;
     if (!editorState.ctx || !editorState.canvas) return;
     editorState.ctx.clearRect(0, 0, editorState.canvas.width, editorState.canvas.height);
     drawOutline();
     drawImageOverlay();
+    if (!editorState.exporting) drawGrid();
 
     if (!editorState.activeFloor) return;
     const floor = editorState.floors[editorState.activeFloor];
     if (!floor) return;
 
+    drawHeatmap(floor);
+    drawCoverageGaps();
+
     editorState.ctx.save();
     editorState.ctx.lineCap = "round";
 
     floor.strokes.forEach((stroke) => {
         if (!stroke || !stroke.points || !stroke.points.length) return;
+        if (!isStrokeVisible(stroke)) return;
 
         if (stroke.type === "note") {
             const pt = project(stroke.points[0]);
@@ -638,12 +1000,25 @@ function redraw() {
             return;
         }
 
+        if (stroke.type === "zone") {
+            Renderer.drawZone(editorState.ctx, stroke.points.map(project), stroke);
+            return;
+        }
+
+        if (stroke.type === "measure") {
+            drawMeasurement(stroke.points, Geometry.isClosedRing(stroke.points));
+            return;
+        }
+
         // Generic icon handler
         if (AssetManager.get(stroke.type)) {
             const pt = project(stroke.points[0]);
             const rotation = stroke.rotation || 0;
             const width = stroke.width || 4;
-            Renderer.drawIcon(editorState.ctx, stroke.type, pt.x, pt.y, width, rotation);
+            Renderer.drawIcon(editorState.ctx, stroke.type, pt.x, pt.y, width, rotation, {
+                label: stationLabel(stroke),
+                status: stroke.status
+            });
             return;
         }
 
@@ -659,24 +1034,72 @@ function redraw() {
 
     });
 
+    drawRoute(floor);
+    drawViolations(floor);
+    if (editorState.exporting) {
+        editorState.ctx.restore();
+        return;
+    }
+    editorState.proposals.forEach((p) => {
+        const pt = project(p.point);
+        Renderer.drawIcon(editorState.ctx, p.type, pt.x, pt.y, editorState.strokeWidth || 2, 0, { ghost: true });
+    });
+
     // Draw selection handles for selected stroke
-    if (editorState.selectedStrokeId !== null && editorState.mode === "select") {
+    const selection = getSelectedStrokes();
+    if (selection.length > 1 && editorState.mode === "select") {
+        const items = selection.map((stroke) => ({ feature: stroke, screenPoints: stroke.points.map(project) }));
+        Renderer.drawMultiSelection(editorState.ctx, items, Geometry.getCombinedBounds(editorState.ctx, items));
+    } else if (editorState.selectedStrokeId !== null && (editorState.mode === "select" || editorState.mode === "vertex")) {
         const selected = floor.strokes.find(s => (s.id || floor.strokes.indexOf(s)) === editorState.selectedStrokeId);
-        if (selected) {
+        if (selected && isStrokeVisible(selected)) {
             const pts = selected.points.map(project);
-            Renderer.drawSelectionOverlay(editorState.ctx, selected, pts);
+            if (editorState.mode === "vertex") {
+                Renderer.drawVertexHandles(editorState.ctx, pts, { activeIndex: editorState.selectedVertex });
+            } else {
+                Renderer.drawSelectionOverlay(editorState.ctx, selected, pts);
+            }
         }
     }
 
+    // Draw zone being clicked out
+    if (editorState.zoneDraft && editorState.zoneDraft.length) {
+        const pts = [...editorState.zoneDraft, ...(editorState.zoneHover ? [editorState.zoneHover] : [])];
+        Renderer.drawZone(editorState.ctx, pts.map(project), { ...editorState.zoneDefaults, name: "" });
+    }
+
+    // Preview the icons an array gesture would place
+    if (editorState.drawing && editorState.currentStroke?.type === "array" && editorState.currentStroke.points.length >= 2) {
+        computeArrayPlacements(editorState.currentStroke.points).forEach((p) => {
+            const pt = project(p.point);
+            Renderer.drawIcon(editorState.ctx, editorState.arrayTool.type, pt.x, pt.y, editorState.strokeWidth || 2, p.rotation, { ghost: true });
+        });
+    }
+
     // Draw current in-progress stroke
     if (editorState.drawing && editorState.currentStroke && editorState.currentStroke.points.length) {
-        const pts = editorState.currentStroke.points.map(project);
+        const current = editorState.currentStroke;
+        const ring = current.fill ? buildShape(current.type, current.points) : null;
+        const pts = (ring || current.points).map(project);
         Renderer.drawGeometry(editorState.ctx, pts, {
-            color: editorState.currentStroke.color || editorState.strokeColor || "#ef4444",
-            width: editorState.currentStroke.width || editorState.strokeWidth || 2,
-            fill: !!editorState.currentStroke.fill && editorState.currentStroke.points.length >= 3
-        }, editorState.currentStroke.type);
+            color: current.color || editorState.strokeColor || "#ef4444",
+            width: current.width || editorState.strokeWidth || 2,
+            fill: !!current.fill && pts.length >= 3
+        }, ring ? undefined : current.type);
+    }
+    const measurement = editorState.measurement;
+    if (measurement && measurement.points.length) {
+        const pts = measurement.done || !editorState.measureHover
+            ? measurement.points
+            : [...measurement.points, editorState.measureHover];
+        drawMeasurement(pts, measurement.closed);
     }
+
+    if (editorState.marquee) {
+        Renderer.drawMarquee(editorState.ctx, editorState.marquee.points, editorState.marquee.lasso);
+    }
+
+    Renderer.drawSnapIndicator(editorState.ctx, editorState.snapIndicator);
     editorState.ctx.restore();
     // Log current state for debugging
     console.debug("[building-editor] redraw", {
@@ -716,6 +1139,7 @@ function findStrokeAt(x, y) {
     };
 
     floor.strokes.forEach((s) => {
+        if (!isStrokeVisible(s)) return;
         const d = distanceToStroke(s);
         if (d < bestDist) {
             bestDist = d;
@@ -727,116 +1151,495 @@ function findStrokeAt(x, y) {
     return null;
 }
 
-function eraseAt(x, y) {
-    if (!editorState.activeFloor) return;
-    const floor = editorState.floors[editorState.activeFloor];
-    if (!floor || !floor.strokes.length) return;
+function getSelectedStroke() {
+    const floor = getActiveFloorState();
+    if (!floor || editorState.selectedStrokeId === null) return null;
+    return floor.strokes.find(s => (s.id || floor.strokes.indexOf(s)) === editorState.selectedStrokeId) || null;
+}
 
-    const stroke = findStrokeAt(x, y);
-    if (stroke) {
-        const idx = floor.strokes.indexOf(stroke);
-        if (idx >= 0) {
-            floor.strokes.splice(idx, 1);
-            if (editorState.selectedStrokeId === (stroke.id || idx)) {
-                editorState.selectedStrokeId = null;
+function isVertexEditable(stroke) {
+    if (!stroke || (stroke.points || []).length < 2) return false;
+    return stroke.type !== "note" && stroke.type !== "point" && !AssetManager.get(stroke.type);
+}
+
+// Deleting takes one of snap.vertexDeleteKeys (Alt, Ctrl or Meta by default), but never the snap disable key,
+// which has to stay free for dragging a vertex without snapping.
+function isVertexDeleteClick(e) {
+    const snap = editorState.snap;
+    return snap.vertexDeleteKeys.some((key) => key !== snap.disableKey && isModifierHeld(e, key));
+}
+
+// Vertex mode: drag a handle to move it, drag a midpoint to insert one, modifier-click a handle to delete it.
+function beginVertexEdit(e) {
+    const selected = getSelectedStroke();
+    if (isVertexEditable(selected)) {
+        const hit = Geometry.hitTestVertices(e.offsetX, e.offsetY, selected.points.map(project));
+        if (hit && hit.type === "vertex" && isVertexDeleteClick(e)) {
+            editorState.selectedVertex = hit.index;
+            deleteSelectedVertex();
+            return;
+        }
+        if (hit) {
+            let index = hit.index;
+            if (hit.type === "midpoint") {
+                recordModify([selected]);
+                selected.points = Geometry.insertVertex(selected.points, hit.index, unproject(e.offsetX, e.offsetY));
+                index = hit.index + 1;
             }
+            editorState.selectedVertex = index;
+            editorState.vertexEdit = { stroke: selected, index, recorded: hit.type === "midpoint" };
             redraw();
+            return;
         }
     }
+
+    const found = findStrokeAt(e.offsetX, e.offsetY);
+    const editable = isVertexEditable(found) ? found : null;
+    if (editable || editorState.selectedStrokeId !== null) notifySelection(editable);
+    editorState.selectedStrokeId = editable ? editable.id : null;
+    editorState.selectedVertex = null;
+    redraw();
 }
 
+function updateVertexDrag(e) {
+    const edit = editorState.vertexEdit;
+    if (!edit.recorded) {
+        recordModify([edit.stroke]);
+        edit.recorded = true;
+    }
+    const pos = snapPosition(e, edit.stroke);
+    edit.stroke.points = Geometry.moveVertex(edit.stroke.points, edit.index, unproject(pos.x, pos.y));
+    redraw();
+}
 
+function endVertexDrag() {
+    if (editorState.vertexEdit) {
+        updateZoneAssociations(getActiveFloorState()?.strokes || []);
+    }
+    editorState.vertexEdit = null;
+    editorState.snapIndicator = null;
+    redraw();
+}
 
-function beginDraw(e) {
-    if (editorState.canvas) {
-        // Track pointer
-        editorState.activePointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+function drawMeasurement(points, closed) {
+    const path = closed && Geometry.isClosedRing(points) ? points.slice(0, -1) : points;
+    Renderer.drawMeasurement(editorState.ctx, path.map(project), Geometry.measure(path, closed));
+}
 
-        try {
-            editorState.canvas.setPointerCapture(e.pointerId);
-        } catch (err) { }
+// Measure mode: each click adds a point, dragging adds the release point too. Double-click finishes,
+// clicking the first point again closes the shape and reports its area.
+function handleMeasureDown(e) {
+    const pos = snapPosition(e);
+    const pt = unproject(pos.x, pos.y);
+    let m = editorState.measurement;
+    if (!m || m.done) {
+        m = editorState.measurement = { points: [pt], closed: false, done: false };
+    } else {
+        const first = project(m.points[0]);
+        if (m.points.length >= 3 && Math.hypot(first.x - pos.x, first.y - pos.y) <= 10) {
+            m.closed = true;
+            finishMeasurement();
+            return;
+        }
+        if (e.detail >= 2) {
+            finishMeasurement();
+            return;
+        }
+        m.points.push(pt);
     }
+    editorState.measureDrag = { x: e.offsetX, y: e.offsetY };
+    redraw();
+}
 
-    if (e.cancelable) e.preventDefault();
-    if (!editorState.canvas || !editorState.transform) return;
+function endMeasureDrag(e) {
+    const drag = editorState.measureDrag;
+    editorState.measureDrag = null;
+    const m = editorState.measurement;
+    if (!drag || !m || m.done || !e) return;
+    if (Math.hypot(e.offsetX - drag.x, e.offsetY - drag.y) > 5) {
+        const pos = snapPosition(e);
+        m.points.push(unproject(pos.x, pos.y));
+        redraw();
+    }
+}
 
-    // PINCH ZOOM CHECK: If 2 pointers, we are pinching/panning, NOT drawing
-    if (editorState.activePointers.size === 2) {
-        editorState.drawing = false;
-        editorState.currentStroke = null;
-        editorState.pinchStartDist = getPinchDist();
-        editorState.pinchStartScale = editorState.view.scale || 1;
+function finishMeasurement() {
+    const m = editorState.measurement;
+    if (!m || m.done) return;
+    m.done = true;
+    editorState.measureHover = null;
+    editorState.snapIndicator = null;
+    if (m.points.length < (m.closed ? 3 : 2)) {
+        editorState.measurement = null;
+        redraw();
         return;
     }
+    if (m.closed) m.points = closeRing(m.points);
+    const floor = getActiveFloorState();
+    if (editorState.keepMeasurements && floor) {
+        floor.strokes.push({
+            id: Date.now() + Math.random(),
+            type: "measure",
+            points: m.points.map((p) => ({ lng: p.lng, lat: p.lat })),
+            color: "#0f172a",
+            width: 2,
+            fill: false
+        });
+        recordAdd(floor.strokes.slice(-1));
+        editorState.measurement = null;
+    }
+    redraw();
+}
 
-    // If > 2 pointers, ignore
-    if (editorState.activePointers.size > 1) return;
+export function setMeasureOptions(options = {}) {
+    if (typeof options.keep === "boolean") editorState.keepMeasurements = options.keep;
+}
 
+// Length in meters of the current (or last) measurement, plus area in m² when it was closed.
+export function getMeasurement() {
+    const m = editorState.measurement;
+    if (!m || !m.points.length) return null;
+    const stats = Geometry.measure(m.points, m.closed);
+    return { length: stats.length, area: stats.area, segments: stats.segments, closed: m.closed, done: m.done };
+}
 
-    // Feature selection in building editor
-    if (editorState.mode === "select" && editorState.activeFloor) {
-        const floor = editorState.floors[editorState.activeFloor];
-        if (floor) {
-            // 1. Try hitting handles of current selection
-            if (editorState.selectedStrokeId !== null) {
-                const selected = floor.strokes.find(s => (s.id || floor.strokes.indexOf(s)) === editorState.selectedStrokeId);
-                if (selected) {
-                    const pts = selected.points.map(project);
-                    const bounds = Geometry.getFeatureBounds(editorState.ctx, selected, pts);
-                    const hit = Geometry.hitTestHandles(e.offsetX, e.offsetY, bounds);
-                    if (hit) {
-                        editorState.imageInteraction = {
-                            type: hit.type,
-                            handle: hit.handle,
-                            target: 'stroke',
-                            stroke: selected,
-                            startWorld: unproject(e.offsetX, e.offsetY),
-                            startPoints: selected.points.map(p => ({ ...p })),
-                            startCenter: bounds.center,
-                            startRotation: selected.rotation || 0,
-                            startWidth: selected.width || 4,
-                            startPoint: { x: e.offsetX, y: e.offsetY }
-                        };
-                        return;
-                    }
-                }
-            }
+export function clearMeasurement() {
+    editorState.measurement = null;
+    editorState.measureHover = null;
+    editorState.measureDrag = null;
+    redraw();
+}
 
-            // 2. Try selecting a new stroke
-            const found = findStrokeAt(e.offsetX, e.offsetY);
-            if (found) {
-                const idx = floor.strokes.indexOf(found);
-                editorState.selectedStrokeId = found.id || idx;
-                const pts = found.points.map(project);
-                const bounds = Geometry.getFeatureBounds(editorState.ctx, found, pts);
-                editorState.imageInteraction = {
-                    type: 'drag',
-                    handle: 'move',
-                    target: 'stroke',
-                    stroke: found,
-                    startWorld: unproject(e.offsetX, e.offsetY),
-                    startPoints: found.points.map(p => ({ ...p })),
-                    startCenter: bounds.center,
-                    startRotation: found.rotation || 0,
-                    startWidth: found.width || 4,
-                    startPoint: { x: e.offsetX, y: e.offsetY }
-                };
-                redraw();
-                return;
-            } else {
-                editorState.selectedStrokeId = null;
-                redraw();
+function isSnapMode() {
+    return !["select", "pan", "erase", "route", "building"].includes(editorState.mode);
+}
+
+// Screen-space snap targets: outline edges and corners, stroke vertices and segment midpoints, icon centers.
+function collectSnapTargets(exclude) {
+    const cached = editorState.snapTargets;
+    if (cached && cached.exclude === exclude) return cached.targets;
+    const points = [];
+    const segments = [];
+    const addPath = (pts, closed) => {
+        const count = closed && Geometry.isClosedRing(pts) ? pts.length - 1 : pts.length;
+        for (let i = 0; i < count; i++) points.push({ ...pts[i], kind: "vertex" });
+        for (let i = 0; i < pts.length - 1; i++) {
+            segments.push([pts[i], pts[i + 1]]);
+            points.push({ x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2, kind: "midpoint" });
+        }
+    };
+
+    if (editorState.outline.length >= 3) {
+        const ring = closeRing(editorState.outline.map((p) => ({ lng: p.lng, lat: p.lat }))).map(project);
+        addPath(ring, true);
+    }
+    (getActiveFloorState()?.strokes || []).forEach((s) => {
+        if (s === exclude || !s.points?.length || !isStrokeVisible(s)) return;
+        if (s.type === "note" || s.type === "point" || AssetManager.get(s.type)) {
+            points.push({ ...project(s.points[0]), kind: "center" });
+        } else {
+            addPath(s.points.map(project), true);
+        }
+    });
+    editorState.snapTargets = { exclude, targets: { points, segments } };
+    return editorState.snapTargets.targets;
+}
+
+const modifierProps = { Alt: "altKey", Control: "ctrlKey", Meta: "metaKey", Shift: "shiftKey" };
+
+function isModifierHeld(e, key) {
+    return !!modifierProps[key] && !!e[modifierProps[key]];
+}
+
+// Snapped screen position for a pointer event; also updates the on-canvas indicator.
+function snapPosition(e, exclude = null) {
+    const raw = { x: e.offsetX, y: e.offsetY };
+    const snap = editorState.snap;
+    if (!snap.enabled || isModifierHeld(e, snap.disableKey)) {
+        editorState.snapIndicator = null;
+        return raw;
+    }
+    const hit = Geometry.findSnap(raw, collectSnapTargets(exclude), snap.tolerance);
+    editorState.snapIndicator = hit;
+    return hit || raw;
+}
+
+function isConstrainedMode() {
+    return ["line", "rectangle", "polygon", "zone"].includes(editorState.mode);
+}
+
+// Grid and angle constraints work in meters around the outline center.
+function gridFrame() {
+    return Geometry.createLocalFrame(getOutlineCenter());
+}
+
+// Direction of the rectangle tool's edges in the grid frame.
+function rectangleAngle() {
+    const align = editorState.shapeTool.align;
+    if (align === "outline") return estimateOutlineAngle();
+    if (align === "north" || !editorState.transform) return 0;
+    const frame = gridFrame();
+    const a = frame.toLocal(unproject(0, 0));
+    const b = frame.toLocal(unproject(1, 0));
+    return (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+}
+
+// Pointer position for the line, rectangle, polygon and zone tools. Object snapping wins; otherwise Shift locks
+// the segment from `anchor` to the angle step (rectangles to squares) and the grid rounds what is left.
+function constrainedPosition(e, anchor = null) {
+    const pos = snapPosition(e);
+    if (editorState.snapIndicator || !editorState.transform) return pos;
+    const grid = editorState.grid;
+    const frame = gridFrame();
+    const p = frame.toLocal(unproject(pos.x, pos.y));
+    let q;
+    if (e.shiftKey && anchor) {
+        const square = editorState.mode === "rectangle";
+        q = Geometry.constrainAngle(
+            frame.toLocal(anchor),
+            p,
+            square ? rectangleAngle() + 45 : estimateOutlineAngle(),
+            square ? 90 : editorState.angleStep,
+            grid.enabled && !square ? grid.size : 0
+        );
+    } else if (grid.enabled) {
+        q = Geometry.snapToGrid(p, grid.size, estimateOutlineAngle());
+    } else {
+        return pos;
+    }
+    return project(frame.toLngLat(q));
+}
+
+function drawGrid() {
+    const grid = editorState.grid;
+    if (!grid.enabled || !grid.visible || !editorState.transform) return;
+    const frame = gridFrame();
+    const w = editorState.cssWidth || editorState.canvas.width;
+    const h = editorState.cssHeight || editorState.canvas.height;
+    const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) => frame.toLocal(unproject(x, y)));
+    const lines = Geometry.gridLines(corners, grid.size, estimateOutlineAngle());
+    Renderer.drawGrid(editorState.ctx, lines.map(([a, b]) => [project(frame.toLngLat(a)), project(frame.toLngLat(b))]));
+}
+
+export function setGrid(options = {}) {
+    const grid = editorState.grid;
+    if (typeof options.enabled === "boolean") grid.enabled = options.enabled;
+    if (Number.isFinite(options.sizeMeters) && options.sizeMeters > 0) grid.size = options.sizeMeters;
+    if (typeof options.visible === "boolean") grid.visible = options.visible;
+    redraw();
+}
+
+export function setAngleStep(degrees) {
+    if (Number.isFinite(degrees) && degrees > 0 && degrees <= 90) editorState.angleStep = degrees;
+}
+
+export function setSnapping(options = {}) {
+    const snap = editorState.snap;
+    if (typeof options.enabled === "boolean") snap.enabled = options.enabled;
+    if (Number.isFinite(options.tolerance)) snap.tolerance = Math.max(1, options.tolerance);
+    if (typeof options.disableKey === "string") snap.disableKey = options.disableKey;
+    if (Array.isArray(options.vertexDeleteKeys)) snap.vertexDeleteKeys = options.vertexDeleteKeys.filter((key) => modifierProps[key]);
+    if (!snap.enabled) editorState.snapIndicator = null;
+    redraw();
+}
+
+// Drops vertices of a lng/lat path that lie within `options.tolerance` of the simplified line, measured in
+// screen pixels at the current view ("px") or in meters ("m"), then optionally rounds it off with Chaikin smoothing.
+function simplifyPoints(points, options) {
+    if (!points || points.length < 3) return points;
+    const inMeters = options.unit === "m";
+    const closed = Geometry.isClosedRing(points);
+    const frame = Geometry.createLocalFrame(points[0]);
+    const xy = points.map(inMeters ? frame.toLocal : project);
+    let result = Geometry.simplifyIndices(xy, options.tolerance).map((i) => points[i]);
+    if (result.length < (closed ? 4 : 2)) return points;
+    if (result.length === points.length && !(options.smoothing > 0)) return points;
+    if (options.smoothing > 0) {
+        result = Geometry.smooth(result.map(frame.toLocal), options.smoothing).map(frame.toLngLat);
+    }
+    return result.map((p) => ({ lng: p.lng, lat: p.lat }));
+}
+
+// Closed freehand rings are skipped unless asked for: imported rectangles and circles look the same.
+function isSimplifiable(stroke, includeClosed) {
+    if (!stroke.points || stroke.points.length <= 2) return false;
+    if (stroke.type === "zone") return true;
+    if (stroke.shape || (stroke.type && stroke.type !== "draw")) return false;
+    return includeClosed || !Geometry.isClosedRing(stroke.points);
+}
+
+export function setSimplifyOptions(options = {}) {
+    const simplify = editorState.simplify;
+    if (typeof options.enabled === "boolean") simplify.enabled = options.enabled;
+    if (Number.isFinite(options.tolerance)) simplify.tolerance = Math.max(0, options.tolerance);
+    if (options.unit === "px" || options.unit === "m") simplify.unit = options.unit;
+    if (Number.isFinite(options.smoothing)) simplify.smoothing = Math.min(Math.max(Math.round(options.smoothing), 0), 4);
+}
+
+// Simplifies the selected freehand strokes and zones, or every one on the active floor when nothing is selected.
+// Options default to the freehand settings plus `includeClosed`; returns the vertex counts before and after.
+export function simplifyStrokes(options = {}) {
+    const settings = { ...editorState.simplify, ...options };
+    const floor = getActiveFloorState();
+    if (!floor) return { strokes: 0, before: 0, after: 0 };
+    const selection = getSelectedStrokes();
+    const targets = (selection.length ? selection : floor.strokes).filter((s) => isSimplifiable(s, !!settings.includeClosed));
+    const result = { strokes: 0, before: 0, after: 0 };
+    const changes = [];
+    targets.forEach((stroke) => {
+        const points = simplifyPoints(stroke.points, settings);
+        result.before += stroke.points.length;
+        result.after += points.length;
+        if (points !== stroke.points) changes.push({ stroke, points });
+    });
+    recordModify(changes.map((c) => c.stroke));
+    changes.forEach(({ stroke, points }) => {
+        stroke.points = points;
+        result.strokes++;
+    });
+    if (result.strokes) {
+        updateZoneAssociations(floor.strokes);
+        redraw();
+    }
+    return result;
+}
+
+function handleKeyDown(e) {
+    if (editorState.mode !== "vertex" || editorState.selectedVertex === null) return;
+    if (e.key !== "Delete" && e.key !== "Backspace") return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) return;
+    e.preventDefault();
+    deleteSelectedVertex();
+}
+
+export function deleteSelectedVertex() {
+    const stroke = getSelectedStroke();
+    if (!isVertexEditable(stroke) || editorState.selectedVertex === null) return false;
+    const points = Geometry.removeVertex(stroke.points, editorState.selectedVertex);
+    if (!points) return false;
+    recordModify([stroke]);
+    stroke.points = points;
+    editorState.selectedVertex = null;
+    updateZoneAssociations(getActiveFloorState()?.strokes || []);
+    redraw();
+    return true;
+}
+
+function eraseAt(x, y) {
+    if (!editorState.activeFloor) return;
+    const floor = editorState.floors[editorState.activeFloor];
+    if (!floor || !floor.strokes.length) return;
+
+    const stroke = findStrokeAt(x, y);
+    if (stroke) {
+        const idx = floor.strokes.indexOf(stroke);
+        if (idx >= 0) {
+            recordRemove([stroke]);
+            floor.strokes.splice(idx, 1);
+            if (editorState.selectedStrokeId === (stroke.id || idx)) {
+                editorState.selectedStrokeId = null;
+            }
+            redraw();
+        }
+    }
+}
+
+
+
+function beginDraw(e) {
+    if (editorState.canvas) {
+        // Track pointer
+        editorState.activePointers.set(e.pointerId, { x: e.offsetX, y: e.offsetY });
+
+        try {
+            editorState.canvas.setPointerCapture(e.pointerId);
+        } catch (err) { }
+    }
+
+    if (e.cancelable) e.preventDefault();
+    if (!editorState.canvas || !editorState.transform) return;
+
+    // PINCH ZOOM CHECK: If 2 pointers, we are pinching/panning, NOT drawing
+    if (editorState.activePointers.size === 2) {
+        editorState.drawing = false;
+        editorState.currentStroke = null;
+        editorState.pinchStartDist = getPinchDist();
+        editorState.pinchStartScale = editorState.view.scale || 1;
+        return;
+    }
+
+    // If > 2 pointers, ignore
+    if (editorState.activePointers.size > 1) return;
+
+    // Clicking a ghost station accepts it
+    if (editorState.proposals.length && editorState.mode !== "pan") {
+        const ghost = findProposalAt(e.offsetX, e.offsetY);
+        if (ghost) {
+            acceptProposal(ghost.id);
+            return;
+        }
+    }
+
+
+    if (editorState.mode === "vertex" && editorState.activeFloor) {
+        beginVertexEdit(e);
+        return;
+    }
+
+    // Feature selection in building editor
+    if (editorState.mode === "select" && editorState.activeFloor) {
+        const floor = editorState.floors[editorState.activeFloor];
+        if (floor) {
+            // 1. Try hitting handles of current selection
+            const selection = getSelectedStrokes();
+            if (selection.length && !e.shiftKey) {
+                const bounds = getSelectionBounds(selection);
+                const hit = Geometry.hitTestHandles(e.offsetX, e.offsetY, bounds);
+                if (hit) {
+                    startStrokeTransform(hit.type, hit.handle, selection, bounds, e);
+                    return;
+                }
             }
 
-            // 3. Fallback to image manipulation if no features were hit
+            // 2. Try selecting a new stroke; shift-click toggles it in the selection
+            const found = findStrokeAt(e.offsetX, e.offsetY);
+            if (found) {
+                if (e.shiftKey) {
+                    toggleSelectedStroke(found);
+                    redraw();
+                    return;
+                }
+                const group = selection.length > 1 && selection.includes(found) ? selection : [found];
+                if (group.length === 1) editorState.selectedStrokeIds = [found.id];
+                editorState.selectedStrokeId = found.id;
+                notifySelection(found);
+                startStrokeTransform("drag", "move", group, getSelectionBounds(group), e);
+                redraw();
+                return;
+            } else if (!e.shiftKey) {
+                if (editorState.selectedStrokeId !== null) notifySelection(null);
+                editorState.selectedStrokeId = null;
+                editorState.selectedStrokeIds = [];
+                redraw();
+            }
+
+            // 3. Fallback to image manipulation if no features were hit (shift keeps the marquee over the image)
             const overlay = getActiveOverlay();
-            if (overlay?.frame && !editorState.imageLocked) {
+            if (overlay?.frame && !editorState.imageLocked && !e.shiftKey) {
                 const hit = hitTestImage(e.offsetX, e.offsetY);
                 if (hit) {
                     startImageInteraction(hit, e);
                     return;
                 }
             }
+
+            // 4. Empty space: drag out a box or lasso
+            editorState.marquee = {
+                points: [{ x: e.offsetX, y: e.offsetY }],
+                lasso: editorState.selectionTool === "lasso",
+                additive: e.shiftKey
+            };
         }
         return;
     }
@@ -863,8 +1666,33 @@ function beginDraw(e) {
         return;
     }
 
+    // Zone mode: click to add vertices, double-click to close
+    if (editorState.mode === "zone") {
+        handleZoneClick(e);
+        return;
+    }
+
+    if (editorState.mode === "measure") {
+        handleMeasureDown(e);
+        return;
+    }
+
+    // Route mode: pick the door the walk starts from
+    if (editorState.mode === "route") {
+        const door = findStrokeAt(offsetX, offsetY);
+        if (door && door.type === "door") planRoute(door.id);
+        return;
+    }
+
+    // Array mode: a click on an existing path reuses it, a drag draws a new one
+    if (editorState.mode === "array") {
+        const picked = findStrokeAt(offsetX, offsetY);
+        editorState.arrayPick = isArrayPath(picked) ? { stroke: picked, x: offsetX, y: offsetY } : null;
+    }
+
     editorState.drawing = true;
-    const first = unproject(offsetX, offsetY);
+    const start = isConstrainedMode() ? constrainedPosition(e) : snapPosition(e);
+    const first = unproject(start.x, start.y);
     const baseColor = editorState.strokeColor || "#ef4444";
     const baseWidth = editorState.strokeWidth || 2;
     console.debug("[building-editor] beginDraw", {
@@ -887,7 +1715,10 @@ function beginDraw(e) {
             rotation: 0
         };
         const floor = editorState.floors[editorState.activeFloor];
-        if (floor) floor.strokes.push(stroke);
+        if (floor) {
+            floor.strokes.push(stroke);
+            recordAdd([stroke]);
+        }
         redraw();
         return;
     }
@@ -903,9 +1734,12 @@ function beginDraw(e) {
             type: editorState.mode, // Store the type!
             rotation: 0
         };
+        initIconStroke(stroke);
         const floor = editorState.floors[editorState.activeFloor];
         if (floor) {
             floor.strokes.push(stroke);
+            recordAdd([stroke]);
+            updateZoneAssociations(floor.strokes);
         }
         redraw();
         editorState.drawing = false;
@@ -924,6 +1758,7 @@ function beginDraw(e) {
 
 function moveDraw(e) {
     if (e.cancelable) e.preventDefault();
+    editorState.lastPointer = { x: e.offsetX, y: e.offsetY };
 
     // Update pointer position
     if (editorState.activePointers.has(e.pointerId)) {
@@ -966,10 +1801,20 @@ function moveDraw(e) {
     if (editorState.mode === "select") {
         if (editorState.imageInteraction) {
             updateImageInteraction(e);
+        } else if (editorState.marquee) {
+            const pts = editorState.marquee.points;
+            if (editorState.marquee.lasso) pts.push({ x: e.offsetX, y: e.offsetY });
+            else pts[1] = { x: e.offsetX, y: e.offsetY };
+            redraw();
         }
         return;
     }
 
+    if (editorState.mode === "vertex") {
+        if (editorState.vertexEdit) updateVertexDrag(e);
+        return;
+    }
+
     if (editorState.mode === "pan" && editorState.panState) {
         const dx = e.offsetX - editorState.panState.startX;
         const dy = e.offsetY - editorState.panState.startY;
@@ -980,10 +1825,35 @@ function moveDraw(e) {
         return;
     }
 
-    if (!editorState.drawing || !editorState.currentStroke || !editorState.transform) return;
+    if (editorState.mode === "measure" && editorState.measurement && !editorState.measurement.done) {
+        const pos = snapPosition(e);
+        editorState.measureHover = unproject(pos.x, pos.y);
+        redraw();
+        return;
+    }
+
+    if (editorState.mode === "zone" && editorState.zoneDraft) {
+        const pos = constrainedPosition(e, editorState.zoneDraft[editorState.zoneDraft.length - 1]);
+        editorState.zoneHover = unproject(pos.x, pos.y);
+        redraw();
+        return;
+    }
+
+    if (!editorState.drawing || !editorState.currentStroke || !editorState.transform) {
+        // Preview where the next click would land
+        const before = editorState.snapIndicator;
+        if (isSnapMode()) snapPosition(e);
+        else editorState.snapIndicator = null;
+        if (before !== editorState.snapIndicator) redraw();
+        return;
+    }
     const { offsetX, offsetY } = e;
-    const next = unproject(offsetX, offsetY);
     const pts = editorState.currentStroke.points;
+    // Freehand strokes only snap where they start
+    let pos = { x: offsetX, y: offsetY };
+    if (isConstrainedMode()) pos = constrainedPosition(e, pts[0]);
+    else if (editorState.mode !== "draw") pos = snapPosition(e);
+    const next = unproject(pos.x, pos.y);
 
     switch (editorState.mode) {
         case "draw":
@@ -992,7 +1862,8 @@ function moveDraw(e) {
         case "line":
         case "rectangle":
         case "circle":
-        case "polygon": {
+        case "polygon":
+        case "array": {
             pts[1] = next;
             break;
         }
@@ -1021,25 +1892,44 @@ function endDraw(e) {
     if (editorState.mode === "select") {
         if (editorState.imageInteraction) {
             endImageInteraction();
+            updateZoneAssociations(getActiveFloorState()?.strokes || []);
+        } else if (editorState.marquee) {
+            finishMarquee();
         }
         return;
     }
 
+    if (editorState.mode === "vertex") {
+        endVertexDrag();
+        return;
+    }
+
+    if (editorState.mode === "measure") {
+        endMeasureDrag(e);
+        return;
+    }
+
     if (editorState.mode === "pan") {
         editorState.panState = null;
         return;
     }
 
+    editorState.snapIndicator = null;
     if (!editorState.drawing || !editorState.currentStroke || !editorState.activeFloor) {
         editorState.drawing = false;
         editorState.currentStroke = null;
         return;
     }
+    if (editorState.mode === "array") {
+        endArrayGesture(e);
+        return;
+    }
     const floor = editorState.floors[editorState.activeFloor];
     if (floor) {
         const finalized = finalizeStroke(editorState.currentStroke);
         if (finalized && finalized.points.length) {
             floor.strokes.push(finalized);
+            recordAdd([finalized]);
         }
     }
     editorState.drawing = false;
@@ -1079,7 +1969,17 @@ export function init(canvas, outline, strokeColor = "#ef4444", strokeWidth = 2)
     canvas.onpointermove = moveDraw;
     canvas.onpointerup = endDraw;
     canvas.onpointerleave = endDraw;
+    canvas.ondblclick = (e) => {
+        if (editorState.mode === "zone") {
+            e.preventDefault();
+            finalizeZoneDraft();
+        } else if (editorState.mode === "measure") {
+            e.preventDefault();
+            finishMeasurement();
+        }
+    };
     canvas.onpointercancel = endDraw; // Handle cancellation
+    window.addEventListener("keydown", handleKeyDown);
     canvas.style.touchAction = "none"; // CRITICAL: Disable browser gestures
     canvas.style.cursor = "crosshair";
     canvas.onwheel = handleWheel;
@@ -1107,31 +2007,27 @@ function finalizeStroke(stroke) {
     const width = stroke.width || editorState.strokeWidth || 2;
     let fill = !!stroke.fill;
 
-    const shapeFromTwoPoints = (buildFn) => {
-        if (pts.length < 2) return null;
-        return {
-            id: Date.now() + Math.random(),
-            points: buildFn(pts[0], pts[1]),
-            color,
-            width,
-            fill: true
-        };
-    };
-
     switch (editorState.mode) {
         case "line":
             if (pts.length < 2) return null;
             return { id: Date.now() + Math.random(), points: [pts[0], pts[pts.length - 1]], color, width, fill: false };
         case "rectangle":
-            return shapeFromTwoPoints(buildRectangle);
         case "circle":
-            return shapeFromTwoPoints(buildCircle);
-        case "polygon":
-            return shapeFromTwoPoints(buildHexagon);
+        case "polygon": {
+            const ring = buildShape(editorState.mode, pts);
+            if (!ring) return null;
+            return { id: Date.now() + Math.random(), points: ring, color, width, fill: true, shape: editorState.mode };
+        }
         case "draw":
         default:
             if (pts.length < 2) return null;
-            return { id: Date.now() + Math.random(), points: pts, color, width, fill };
+            return {
+                id: Date.now() + Math.random(),
+                points: editorState.mode === "draw" && editorState.simplify.enabled ? simplifyPoints(pts, editorState.simplify) : pts,
+                color,
+                width,
+                fill
+            };
     }
 }
 
@@ -1145,47 +2041,108 @@ function closeRing(ring) {
     return ring;
 }
 
-function buildRectangle(a, b) {
-    return closeRing([
-        { lng: a.lng, lat: a.lat },
-        { lng: b.lng, lat: a.lat },
-        { lng: b.lng, lat: b.lat },
-        { lng: a.lng, lat: b.lat }
-    ]);
-}
-
-function buildCircle(a, b) {
-    const dx = b.lng - a.lng;
-    const dy = b.lat - a.lat;
-    const r = Math.sqrt(dx * dx + dy * dy);
-    const segments = 32;
-    const pts = [];
-    for (let i = 0; i < segments; i++) {
-        const ang = (i / segments) * Math.PI * 2;
-        pts.push({
-            lng: a.lng + r * Math.cos(ang),
-            lat: a.lat + r * Math.sin(ang)
-        });
+// Shapes are built in a local metric frame around their anchor so circles stay round away from the equator.
+// Returns null until the gesture has enough points; a fixed radius lets circles and polygons be placed with a click.
+function buildShape(mode, pts) {
+    if (!pts.length) return null;
+    const fixedRadius = Number.isFinite(editorState.shapeTool.radius) && editorState.shapeTool.radius > 0;
+    if (pts.length < 2 && (mode === "rectangle" || !fixedRadius)) return null;
+    const a = pts[0];
+    const b = pts[1] || pts[0];
+    switch (mode) {
+        case "rectangle":
+            return buildRectangle(a, b);
+        case "circle":
+            return buildRegularPolygon(a, b, 32);
+        case "polygon":
+            return buildRegularPolygon(a, b, editorState.shapeTool.sides);
+        default:
+            return null;
     }
-    return closeRing(pts);
 }
 
-function buildHexagon(a, b) {
-    const dx = b.lng - a.lng;
-    const dy = b.lat - a.lat;
-    const r = Math.sqrt(dx * dx + dy * dy);
-    const sides = 6;
+// `a` and `b` are opposite corners. The edges follow the screen axes ("view"), the outline's principal axis
+// ("outline") or north ("north").
+function buildRectangle(a, b) {
+    const align = editorState.shapeTool.align;
+    if (align === "view" && editorState.transform) {
+        const pa = project(a);
+        const pb = project(b);
+        return closeRing([a, unproject(pb.x, pa.y), b, unproject(pa.x, pb.y)].map((p) => ({ lng: p.lng, lat: p.lat })));
+    }
+    const frame = Geometry.createLocalFrame(a);
+    const angle = align === "outline" ? (estimateOutlineAngle() * Math.PI) / 180 : 0;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const q = frame.toLocal(b);
+    // Diagonal in the rotated frame
+    const u = q.x * cos + q.y * sin;
+    const v = -q.x * sin + q.y * cos;
+    const toWorld = (x, y) => frame.toLngLat({ x: x * cos - y * sin, y: x * sin + y * cos });
+    return closeRing([{ lng: a.lng, lat: a.lat }, toWorld(u, 0), { lng: b.lng, lat: b.lat }, toWorld(0, v)]);
+}
+
+// Regular polygon around `center` with its first vertex towards `b`; the radius is the distance to `b`
+// unless the shape tool has a fixed one.
+function buildRegularPolygon(center, b, sides) {
+    const frame = Geometry.createLocalFrame(center);
+    const q = frame.toLocal(b);
+    const fixed = editorState.shapeTool.radius;
+    const radius = Number.isFinite(fixed) && fixed > 0 ? fixed : Math.hypot(q.x, q.y);
+    if (!(radius > 0)) return null;
+    const start = q.x || q.y ? Math.atan2(q.y, q.x) : 0;
     const pts = [];
     for (let i = 0; i < sides; i++) {
-        const ang = (i / sides) * Math.PI * 2;
-        pts.push({
-            lng: a.lng + r * Math.cos(ang),
-            lat: a.lat + r * Math.sin(ang)
-        });
+        const ang = start + (i / sides) * Math.PI * 2;
+        pts.push(frame.toLngLat({ x: radius * Math.cos(ang), y: radius * Math.sin(ang) }));
     }
     return closeRing(pts);
 }
 
+function ringCenter(points) {
+    const pts = Geometry.isClosedRing(points) ? points.slice(0, -1) : points;
+    return {
+        lng: pts.reduce((sum, p) => sum + p.lng, 0) / pts.length,
+        lat: pts.reduce((sum, p) => sum + p.lat, 0) / pts.length
+    };
+}
+
+export function setShapeOptions(options = {}) {
+    const tool = editorState.shapeTool;
+    if (options.radiusMeters === null || (Number.isFinite(options.radiusMeters) && options.radiusMeters > 0)) {
+        tool.radius = options.radiusMeters;
+    }
+    if (Number.isFinite(options.sides)) tool.sides = Math.min(Math.max(Math.round(options.sides), 3), 64);
+    if (["view", "outline", "north"].includes(options.align)) tool.align = options.align;
+    redraw();
+}
+
+// Mean distance in meters from the center of a circle or polygon stroke to its vertices.
+export function getShapeRadius(strokeId) {
+    const stroke = (getActiveFloorState()?.strokes || []).find((s) => s.id === strokeId);
+    if (!stroke || (stroke.shape !== "circle" && stroke.shape !== "polygon")) return null;
+    const frame = Geometry.createLocalFrame(ringCenter(stroke.points));
+    const pts = stroke.points.slice(0, -1).map(frame.toLocal);
+    return pts.reduce((sum, p) => sum + Math.hypot(p.x, p.y), 0) / pts.length;
+}
+
+// Scales a circle or polygon stroke about its center to the given radius in meters.
+export function setShapeRadius(strokeId, meters) {
+    const stroke = (getActiveFloorState()?.strokes || []).find((s) => s.id === strokeId);
+    const current = getShapeRadius(strokeId);
+    if (!current || !Number.isFinite(meters) || meters <= 0) return false;
+    const frame = Geometry.createLocalFrame(ringCenter(stroke.points));
+    const k = meters / current;
+    recordModify([stroke]);
+    stroke.points = stroke.points.map((p) => {
+        const q = frame.toLocal(p);
+        return frame.toLngLat({ x: q.x * k, y: q.y * k });
+    });
+    updateZoneAssociations(getActiveFloorState().strokes);
+    redraw();
+    return true;
+}
+
 export function setOutline(outline) {
     editorState.outline = outline || [];
     editorState.panState = null;
@@ -1216,6 +2173,18 @@ export function setMode(mode) {
     editorState.drawing = false;
     editorState.panState = null;
     editorState.imageInteraction = null;
+    editorState.zoneDraft = null;
+    editorState.zoneHover = null;
+    editorState.selectedVertex = null;
+    editorState.vertexEdit = null;
+    editorState.snapIndicator = null;
+    editorState.measurement = null;
+    editorState.measureHover = null;
+    editorState.measureDrag = null;
+    if (editorState.mode === "vertex" && !isVertexEditable(getSelectedStroke())) {
+        editorState.selectedStrokeId = null;
+    }
+    redraw();
     console.debug("[building-editor] setMode", { mode: editorState.mode });
 
     // Update cursor based on mode
@@ -1228,8 +2197,12 @@ export function setMode(mode) {
                 editorState.canvas.style.cursor = "not-allowed";
                 break;
             case "select":
+            case "vertex":
                 editorState.canvas.style.cursor = "default";
                 break;
+            case "route":
+                editorState.canvas.style.cursor = "pointer";
+                break;
             default:
                 editorState.canvas.style.cursor = "crosshair";
                 break;
@@ -1356,6 +2329,7 @@ export function getRotation() {
 }
 
 export function addFloor(name) {
+    if (!editorState.floors[name]) recordCommand(() => [{ type: "floor", floor: name, data: null }]);
     ensureFloor(name);
     editorState.activeFloor = name;
     redraw();
@@ -1364,6 +2338,7 @@ export function addFloor(name) {
 export function setActiveFloor(name) {
     if (!editorState.floors[name]) return;
     editorState.activeFloor = name;
+    editorState.proposals = [];
     redraw();
 }
 
@@ -1371,6 +2346,7 @@ export function clearActiveFloor() {
     if (!editorState.activeFloor) return;
     const floor = editorState.floors[editorState.activeFloor];
     if (floor) {
+        recordRemove(floor.strokes);
         floor.strokes = [];
         redraw();
     }
@@ -1380,12 +2356,14 @@ export function setImageOverlay(src) {
     const floor = getActiveFloorState();
     if (!floor) return;
     if (!src) {
+        if (floor.imageOverlay) recordOverlay(floor);
         floor.imageOverlay = null;
         redraw();
         return;
     }
     const img = new Image();
     img.onload = () => {
+        recordOverlay(floor);
         const angle = estimateOutlineAngle();
         if (editorState.outline && editorState.outline.length) {
             const minLng = Math.min(...editorState.outline.map((p) => p.lng));
@@ -1423,6 +2401,7 @@ export function alignImageRotationToOutline() {
     const overlay = getActiveOverlay();
     if (!overlay?.frame) return;
     const angle = estimateOutlineAngle();
+    recordOverlay(getActiveFloorState());
     overlay.frame.rotation = angle;
     redraw();
 }
@@ -1436,6 +2415,7 @@ export function alignImageRotationToLongestEdge() {
 export function rotateImage90() {
     const overlay = getActiveOverlay();
     if (!overlay?.frame) return;
+    recordOverlay(getActiveFloorState());
     overlay.frame.rotation = (overlay.frame.rotation || 0) + 90;
     redraw();
 }
@@ -1446,6 +2426,7 @@ export function alignImageRotationToNearestEdge() {
     const current = overlay.frame.rotation;
     // Pass current rotation to find "nearest angular match"
     const angle = estimateEdgeAngle(current);
+    recordOverlay(getActiveFloorState());
     overlay.frame.rotation = angle;
     redraw();
 }
@@ -1464,6 +2445,9 @@ export function setImageOpacity(opacity) {
     if (!overlay) return;
     const value = typeof opacity === "number" ? opacity : 60;
     const clamped = Math.max(0, Math.min(100, value)) / 100;
+    if (overlay.opacity === clamped) return;
+    // A slider drag is one undo step
+    recordOverlay(getActiveFloorState(), "opacity");
     overlay.opacity = clamped;
     redraw();
 }
@@ -1471,7 +2455,8 @@ export function setImageOpacity(opacity) {
 
 export function clearImageOverlay() {
     const floor = getActiveFloorState();
-    if (!floor) return;
+    if (!floor?.imageOverlay) return;
+    recordOverlay(floor);
     floor.imageOverlay = null;
     redraw();
 }
@@ -1507,22 +2492,49 @@ export function exportAll() {
     const result = {};
     Object.keys(editorState.floors).forEach((name) => {
         const floor = editorState.floors[name];
+        updateZoneAssociations(floor?.strokes || []);
         result[name] = (floor?.strokes || []).map((s) => ({
+            id: s.id,
             points: s.points || [],
             color: s.color || editorState.strokeColor,
             width: s.width || editorState.strokeWidth,
             type: s.type || "draw",
             fill: s.fill,
             text: s.text,
-            rotation: s.rotation
+            rotation: s.rotation,
+            number: s.number,
+            status: s.status,
+            statusChangedAt: s.statusChangedAt,
+            inspections: s.inspections,
+            product: s.product,
+            shape: s.shape,
+            name: s.name,
+            category: s.category,
+            riskLevel: s.riskLevel,
+            pattern: s.pattern,
+            zoneId: s.zoneId
         }));
     });
     return result;
 }
 
-export function importAll(data) {
+// Next number of each station type in the active building. Saved next to exportAll and handed back to
+// importAll so numbers freed by deletes are not given out again.
+export function exportStationCounters() {
+    return { ...editorState.stationCounters };
+}
+
+// Numbering overrides of the active building, set with setNumberingScheme.
+export function exportNumberingSchemes() {
+    return Stations.normalizeScheme(editorState.numbering);
+}
+
+// `stationCounters` and `numbering` are the exportStationCounters and exportNumberingSchemes results, if saved.
+export function importAll(data, stationCounters = null, numbering = null) {
     if (!data || typeof data !== "object") return;
     editorState.selectedStrokeId = null;
+    editorState.route = null;
+    editorState.history = { past: [], future: [] };
     editorState.floors = {};
     Object.keys(data).forEach((name) => {
         const strokes = data[name] || [];
@@ -1535,11 +2547,30 @@ export function importAll(data) {
                 fill: s.fill, // Persist fill state
                 type: s.type || "draw",
                 text: s.text,
-                rotation: s.rotation
+                rotation: s.rotation,
+                number: s.number,
+                status: s.status || (AssetManager.get(s.type) ? "active" : undefined),
+                statusChangedAt: s.statusChangedAt,
+                inspections: Array.isArray(s.inspections)
+                    ? s.inspections.map((i) => Stations.normalizeInspection(i))
+                    : Stations.isStation(s.type) ? [] : undefined,
+                product: s.product,
+                shape: s.shape,
+                ...(s.type === "zone" ? Zones.normalize(s) : {})
             })),
             imageOverlay: null
         };
     });
+    Object.values(editorState.floors).forEach((floor) => updateZoneAssociations(floor.strokes));
+    editorState.stationCounters = Stations.normalizeCounters(stationCounters);
+    editorState.numbering = Stations.normalizeScheme(numbering);
+    const all = getBuildingStrokes();
+    Stations.seedCounters(editorState.stationCounters, all);
+    all.forEach((s) => {
+        if (Stations.isStation(s.type) && !Number.isFinite(s.number)) {
+            Stations.assignNumber(s, all, editorState.stationCounters, editorState.numbering);
+        }
+    });
     const floorNames = Object.keys(editorState.floors);
     if (floorNames.length) {
         editorState.activeFloor = floorNames[floorNames.length - 1];
@@ -1611,24 +2642,819 @@ export function setContext(buildingId) {
         return;
     }
 
+    recordCommand(() => [{ type: "context", buildingId: currentId, outline: editorState.outline }]);
+    switchContext(newId);
+}
+
+// Parks the current building in the store and loads (or starts) `newId`.
+function switchContext(newId) {
+    const currentId = editorState.activeBuildingId || "global";
+
     // 1. Save current state to store
     editorState.store[currentId] = {
         floors: editorState.floors,
-        activeFloor: editorState.activeFloor
+        activeFloor: editorState.activeFloor,
+        stationCounters: editorState.stationCounters,
+        numbering: editorState.numbering
     };
 
     // 2. Load new state or init
     if (editorState.store[newId]) {
         editorState.floors = editorState.store[newId].floors;
         editorState.activeFloor = editorState.store[newId].activeFloor;
+        editorState.stationCounters = editorState.store[newId].stationCounters || {};
+        editorState.numbering = editorState.store[newId].numbering || {};
     } else {
         editorState.floors = {};
         editorState.activeFloor = null;
+        editorState.stationCounters = {};
+        editorState.numbering = {};
         ensureFloor("Floor 1");
     }
 
     editorState.activeBuildingId = newId;
+    editorState.violations = [];
+    editorState.route = null;
+    editorState.proposals = [];
+
+    redraw();
+}
+
+function getOutlineCenter() {
+    const pts = editorState.outline || [];
+    if (!pts.length) return { lng: 0, lat: 0 };
+    return {
+        lng: pts.reduce((sum, p) => sum + p.lng, 0) / pts.length,
+        lat: pts.reduce((sum, p) => sum + p.lat, 0) / pts.length
+    };
+}
+
+// Walking cost between two stops in meters, penalising legs that leave the building outline.
+function routeLegCost(a, b, ring) {
+    const dist = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!ring) return dist;
+    const samples = 7;
+    let outside = 0;
+    for (let i = 1; i <= samples; i++) {
+        const t = i / (samples + 1);
+        const p = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+        if (!Geometry.pointInPolygon(p, ring)) outside++;
+    }
+    return dist * (1 + 2 * (outside / samples));
+}
+
+function computeRoute(strokes, startStroke = null, includeRemoved = false) {
+    const stops = strokes.filter((s) =>
+        Stations.isStation(s.type) && s.points?.length && (includeRemoved || s.status !== "removed"));
+    if (!stops.length) return null;
+
+    const frame = Geometry.createLocalFrame(getOutlineCenter());
+    const ring = editorState.outline.length >= 3 ? editorState.outline.map(frame.toLocal) : null;
+    const nodes = startStroke ? [startStroke, ...stops] : stops;
+    const pts = nodes.map((s) => frame.toLocal(s.points[0]));
+    const n = pts.length;
+    const cost = pts.map((a, i) => pts.map((b, j) => (i === j ? 0 : routeLegCost(a, b, ring))));
+
+    // Without a door, start at the stop furthest from the middle so the walk sweeps across
+    let first = 0;
+    if (!startStroke) {
+        const cx = pts.reduce((sum, p) => sum + p.x, 0) / n;
+        const cy = pts.reduce((sum, p) => sum + p.y, 0) / n;
+        let best = -1;
+        pts.forEach((p, i) => {
+            const d = Math.hypot(p.x - cx, p.y - cy);
+            if (d > best) {
+                best = d;
+                first = i;
+            }
+        });
+    }
+
+    // 1. Nearest neighbour tour
+    const order = [first];
+    const visited = new Set(order);
+    while (order.length < n) {
+        const last = order[order.length - 1];
+        let next = -1;
+        let bestCost = Infinity;
+        for (let j = 0; j < n; j++) {
+            if (!visited.has(j) && cost[last][j] < bestCost) {
+                bestCost = cost[last][j];
+                next = j;
+            }
+        }
+        order.push(next);
+        visited.add(next);
+    }
+
+    // 2. 2-opt on the open path, keeping the start fixed
+    const legCost = (i, j) => (j >= n ? 0 : cost[order[i]][order[j]]);
+    let improved = true;
+    let passes = 0;
+    while (improved && passes < 50) {
+        improved = false;
+        passes++;
+        for (let i = 1; i < n - 1; i++) {
+            for (let k = i + 1; k < n; k++) {
+                const before = legCost(i - 1, i) + legCost(k, k + 1);
+                const after = cost[order[i - 1]][order[k]] + (k + 1 >= n ? 0 : cost[order[i]][order[k + 1]]);
+                if (after < before - 1e-9) {
+                    const reversed = order.slice(i, k + 1).reverse();
+                    order.splice(i, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    const legs = [];
+    for (let i = 1; i < n; i++) {
+        const a = pts[order[i - 1]];
+        const b = pts[order[i]];
+        legs.push(Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    const orderedNodes = order.map((i) => nodes[i]);
+    return {
+        start: startStroke || null,
+        stops: startStroke ? orderedNodes.slice(1) : orderedNodes,
+        legs,
+        length: legs.reduce((sum, d) => sum + d, 0)
+    };
+}
+
+function pixelsPerMeter() {
+    const center = getOutlineCenter();
+    const frame = Geometry.createLocalFrame(center);
+    const a = project(center);
+    const b = project(frame.toLngLat({ x: 0, y: 1 }));
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
 
+function drawHeatmap(floor) {
+    const heatmap = editorState.heatmap;
+    if (!heatmap || !floor) return;
+    const filter = { from: heatmap.from, to: heatmap.to };
+    const samples = [];
+    floor.strokes.forEach((s) => {
+        if (!Stations.isStation(s.type) || !s.points?.length || !isStrokeVisible(s)) return;
+        const value = Stations.activityScore(s.inspections, filter);
+        if (value === null) return;
+        const pt = project(s.points[0]);
+        samples.push({ x: pt.x, y: pt.y, value });
+    });
+    const clip = editorState.outline.length >= 3 ? [editorState.outline.map(project)] : null;
+    Renderer.drawHeatmap(editorState.ctx, samples, {
+        radius: heatmap.radiusMeters * pixelsPerMeter(),
+        ramp: heatmap.ramp,
+        opacity: heatmap.opacity,
+        clip
+    });
+}
+
+export function setHeatmap(options) {
+    if (!options || options.enabled === false) {
+        editorState.heatmap = null;
+    } else {
+        editorState.heatmap = {
+            radiusMeters: Math.max(0.5, Number(options.radiusMeters) || 8),
+            ramp: Array.isArray(options.ramp) ? options.ramp : null,
+            from: options.from || null,
+            to: options.to || null,
+            opacity: typeof options.opacity === "number" ? Math.max(0, Math.min(1, options.opacity)) : 0.6
+        };
+    }
+    redraw();
+}
+
+// Projects active stations on the active floor onto the outline and measures the stretches between them.
+function computeCoverage(maxGap, wallDistance) {
+    if (!editorState.outline || editorState.outline.length < 3) return null;
+    const floor = getActiveFloorState();
+    const frame = Geometry.createLocalFrame(getOutlineCenter());
+    const ring = closeRing(editorState.outline.map((p) => ({ ...p }))).map(frame.toLocal);
+    const perimeter = Geometry.pathLength(ring);
+    if (!perimeter) return null;
+
+    const stations = (floor?.strokes || [])
+        .filter((s) => Stations.isStation(s.type) && (s.status || "active") === "active" && s.points?.length)
+        .map((s) => ({ stroke: s, pos: Geometry.projectOntoPath(frame.toLocal(s.points[0]), ring) }))
+        .filter((s) => s.pos.distance <= wallDistance)
+        .sort((a, b) => a.pos.along - b.pos.along);
+
+    const gaps = [];
+    let covered = 0;
+    const toGap = (from, to, start, length) => ({
+        fromId: from ? from.id : null,
+        toId: to ? to.id : null,
+        fromLabel: from ? stationLabel(from) : null,
+        toLabel: to ? stationLabel(to) : null,
+        startMeters: start,
+        endMeters: (start + length) % perimeter,
+        lengthMeters: length,
+        excessMeters: length - maxGap,
+        points: Geometry.slicePath(ring, start, (start + length) % perimeter || perimeter).map(frame.toLngLat)
+    });
+
+    if (!stations.length) {
+        gaps.push(toGap(null, null, 0, perimeter));
+    } else {
+        stations.forEach((s, i) => {
+            const next = stations[(i + 1) % stations.length];
+            let length = next.pos.along - s.pos.along;
+            if (i === stations.length - 1) length += perimeter;
+            covered += Math.min(length, maxGap);
+            if (length > maxGap) gaps.push(toGap(s.stroke, next.stroke, s.pos.along, length));
+        });
+    }
+
+    return {
+        floor: editorState.activeFloor,
+        perimeterMeters: perimeter,
+        coveredPercent: Math.min(100, (covered / perimeter) * 100),
+        maxGapMeters: maxGap,
+        stationCount: stations.length,
+        gaps
+    };
+}
+
+function drawCoverageGaps() {
+    if (!editorState.coverage) return;
+    const report = computeCoverage(editorState.coverage.maxGap, editorState.coverage.wallDistance);
+    if (!report) return;
+    const ctx = editorState.ctx;
+    ctx.save();
+    ctx.strokeStyle = "rgba(220,38,38,0.85)";
+    ctx.lineWidth = 6;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    report.gaps.forEach((gap) => {
+        const pts = gap.points.map(project);
+        if (pts.length < 2) return;
+        ctx.beginPath();
+        ctx.moveTo(pts[0].x, pts[0].y);
+        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+        ctx.stroke();
+    });
+    ctx.restore();
+}
+
+export function analyzeCoverage(maxGapMeters = 12, wallDistanceMeters = 3) {
+    const maxGap = Math.max(0.5, Number(maxGapMeters) || 12);
+    const wallDistance = Math.max(0, Number(wallDistanceMeters) || 3);
+    const report = computeCoverage(maxGap, wallDistance);
+    editorState.coverage = report ? { maxGap, wallDistance } : null;
+    redraw();
+    return report;
+}
+
+export function clearCoverage() {
+    editorState.coverage = null;
+    redraw();
+}
+
+function isZoneStroke(stroke) {
+    return stroke.type === "zone" && stroke.points?.length >= 3;
+}
+
+function handleZoneClick(e) {
+    const draft = editorState.zoneDraft;
+    const pos = constrainedPosition(e, draft && draft.length ? draft[draft.length - 1] : null);
+    const pt = unproject(pos.x, pos.y);
+    if (!editorState.zoneDraft) editorState.zoneDraft = [];
+    editorState.zoneDraft.push(pt);
+    // Double-click (detail >= 2) closes the zone if we have 3+ points
+    if (e.detail >= 2) {
+        finalizeZoneDraft();
+        return;
+    }
+    redraw();
+}
+
+function finalizeZoneDraft() {
+    const pts = editorState.zoneDraft;
+    const floor = getActiveFloorState();
+    if (!pts || pts.length < 3 || !floor) return;
+    const zone = {
+        id: Date.now() + Math.random(),
+        type: "zone",
+        points: closeRing(pts.map((p) => ({ lng: p.lng, lat: p.lat }))),
+        width: editorState.strokeWidth || 2,
+        fill: true,
+        ...Zones.normalize(editorState.zoneDefaults)
+    };
+    zone.color = Zones.colors[zone.category];
+    floor.strokes.push(zone);
+    recordAdd([zone]);
+    updateZoneAssociations(floor.strokes);
+    editorState.zoneDraft = null;
+    editorState.zoneHover = null;
+    redraw();
+}
+
+// Stores on every icon stroke the id of the innermost zone on the same floor that contains it.
+function updateZoneAssociations(strokes) {
+    const zones = strokes.filter(isZoneStroke).map((z) => ({ id: z.id, ring: closeRing(z.points.map((p) => ({ ...p }))) }));
+    strokes.forEach((s) => {
+        if (!AssetManager.get(s.type) || !s.points?.length) return;
+        const zone = Zones.findContaining(s.points[0], zones);
+        s.zoneId = zone ? zone.id : null;
+    });
+}
+
+export function setZoneDefaults(props) {
+    editorState.zoneDefaults = Zones.normalize(props, editorState.zoneDefaults);
+}
+
+export function updateZone(zoneId, props) {
+    const zone = findStrokeById(zoneId);
+    if (!zone || zone.type !== "zone") return false;
+    recordModify([zone]);
+    Object.assign(zone, Zones.normalize(props, zone));
+    if (props && props.color) zone.color = props.color;
+    else if (props && props.category) zone.color = Zones.colors[zone.category];
+    redraw();
+    return true;
+}
+
+// Zones of the active building with the stations each one contains.
+export function getZones() {
+    const zones = [];
+    Object.keys(editorState.floors).forEach((name) => {
+        const strokes = editorState.floors[name]?.strokes || [];
+        updateZoneAssociations(strokes);
+        strokes.filter((s) => s.type === "zone").forEach((z) => {
+            zones.push({
+                id: z.id,
+                name: z.name,
+                category: z.category,
+                riskLevel: z.riskLevel,
+                pattern: z.pattern,
+                floor: name,
+                stationIds: strokes.filter((s) => s.zoneId === z.id && Stations.isStation(s.type)).map((s) => s.id)
+            });
+        });
+    });
+    return zones;
+}
+
+export function getStationsInZone(zoneId) {
+    const zone = getZones().find((z) => z.id === zoneId);
+    return zone ? zone.stationIds : [];
+}
+
+export function getStationZone(strokeId) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke) return null;
+    const zones = getZones(); // refreshes stroke.zoneId
+    return zones.find((z) => z.id === stroke.zoneId) || null;
+}
+
+function buildComplianceScene(strokes, frame, outline) {
+    const features = [];
+    const zones = [];
+    strokes.forEach((s) => {
+        if (!s?.points?.length) return;
+        if (isZoneStroke(s)) {
+            zones.push({
+                id: s.id,
+                name: s.name,
+                category: s.category,
+                ring: closeRing(s.points.map((p) => ({ ...p }))).map(frame.toLocal)
+            });
+            return;
+        }
+        if (!AssetManager.get(s.type) && s.type !== "point") return;
+        if (s.status === "removed" || s.status === "missing") return;
+        const p = frame.toLocal(s.points[0]);
+        features.push({ id: s.id, type: s.type, x: p.x, y: p.y, label: stationLabel(s) });
+    });
+    return { features, zones, outline };
+}
+
+function drawViolations(floor) {
+    const ctx = editorState.ctx;
+    editorState.violations.forEach((v) => {
+        if (v.floor !== editorState.activeFloor) return;
+        const target = floor.strokes.find((s) => s.id === (v.featureId ?? v.zoneId));
+        if (!target || !target.points?.length || !isStrokeVisible(target)) return;
+        if (v.featureId === null) {
+            Renderer.drawViolationArea(ctx, target.points.map(project));
+        } else {
+            const pt = project(target.points[0]);
+            Renderer.drawViolation(ctx, pt.x, pt.y);
+        }
+    });
+}
+
+export function loadComplianceRules(json) {
+    return Compliance.load(json);
+}
+
+// Evaluates the loaded rules on every floor of the active building.
+export function evaluateCompliance() {
+    const frame = Geometry.createLocalFrame(getOutlineCenter());
+    const outline = editorState.outline.length >= 3 ? closeRing(editorState.outline.map((p) => ({ ...p }))).map(frame.toLocal) : null;
+    const violations = [];
+    Object.keys(editorState.floors).forEach((name) => {
+        const scene = buildComplianceScene(editorState.floors[name]?.strokes || [], frame, outline);
+        Compliance.evaluate(scene).forEach((v) => {
+            violations.push({ ...v, buildingId: editorState.activeBuildingId || "global", floor: name });
+        });
+    });
+    editorState.violations = violations;
+    redraw();
+    return violations;
+}
+
+export function clearComplianceHighlights() {
+    editorState.violations = [];
+    redraw();
+}
+
+function drawRoute(floor) {
+    const route = editorState.route;
+    if (!route || route.floor !== editorState.activeFloor || !floor) return;
+    const byId = new Map(floor.strokes.map((s) => [s.id, s]));
+    const nodes = [route.startId, ...route.stopIds].map((id) => byId.get(id)).filter(Boolean);
+    if (nodes.length < 2) return;
+    const hasStart = byId.has(route.startId);
+    Renderer.drawRoute(editorState.ctx, nodes.map((s) => project(s.points[0])), { hasStart });
+}
+
+export function planRoute(startDoorId = null) {
+    const floor = getActiveFloorState();
+    if (!floor) return [];
+    const start = startDoorId !== null ? floor.strokes.find((s) => s.id === startDoorId && s.type === "door") : null;
+    const route = computeRoute(floor.strokes.filter(isStrokeVisible), start || null);
+    if (!route) {
+        editorState.route = null;
+        redraw();
+        return [];
+    }
+    editorState.route = {
+        floor: editorState.activeFloor,
+        startId: start ? start.id : null,
+        stopIds: route.stops.map((s) => s.id),
+        legs: route.legs,
+        length: route.length
+    };
+    redraw();
+    return getRouteOrder();
+}
+
+export function getRouteOrder() {
+    const route = editorState.route;
+    if (!route) return [];
+    const floor = editorState.floors[route.floor];
+    if (!floor) return [];
+    const legOffset = route.startId !== null ? 0 : -1;
+    return route.stopIds
+        .map((id, i) => {
+            const stroke = floor.strokes.find((s) => s.id === id);
+            if (!stroke) return null;
+            return {
+                order: i + 1,
+                id,
+                type: stroke.type,
+                label: stationLabel(stroke),
+                floor: route.floor,
+                legMeters: i + legOffset >= 0 ? route.legs[i + legOffset] : 0
+            };
+        })
+        .filter(Boolean);
+}
+
+export function clearRoute() {
+    editorState.route = null;
+    redraw();
+}
+
+function isStrokeVisible(stroke) {
+    return Stations.isVisible(stroke, editorState.statusFilter);
+}
+
+function notifySelection(stroke) {
+    if (selectionListener) {
+        try {
+            selectionListener.invokeMethodAsync("OnFeatureSelected", stroke);
+        } catch (err) {
+            console.warn("Failed to notify selection", err);
+        }
+    }
+}
+
+function notifyStatusChange(stroke) {
+    if (selectionListener) {
+        try {
+            selectionListener.invokeMethodAsync("OnFeatureStatusChanged", stroke.id, stroke.status);
+        } catch (err) {
+            console.warn("Failed to notify status change", err);
+        }
+    }
+}
+
+// Undo and redo can switch buildings; the host is told so it can follow.
+function notifyContextChange(buildingId) {
+    if (selectionListener) {
+        try {
+            selectionListener.invokeMethodAsync("OnContextChanged", buildingId);
+        } catch (err) {
+            console.warn("Failed to notify context change", err);
+        }
+    }
+}
+
+export function registerSelectionListener(dotNetRef) {
+    selectionListener = dotNetRef;
+}
+
+function findStrokeById(id) {
+    const search = (floors) => {
+        for (const name of Object.keys(floors || {})) {
+            const found = (floors[name]?.strokes || []).find((s) => s.id === id);
+            if (found) return found;
+        }
+        return null;
+    };
+    const active = search(editorState.floors);
+    if (active) return active;
+    const activeKey = editorState.activeBuildingId || "global";
+    for (const key of Object.keys(editorState.store)) {
+        if (key === activeKey) continue;
+        const found = search(editorState.store[key]?.floors);
+        if (found) return found;
+    }
+    return null;
+}
+
+export function addInspection(strokeId, visit) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke || !Stations.isStation(stroke.type)) return null;
+    recordModify([stroke]);
+    if (!Array.isArray(stroke.inspections)) stroke.inspections = [];
+    const inspection = Stations.normalizeInspection(visit);
+    stroke.inspections.push(inspection);
+    if (editorState.selectedStrokeId === strokeId) notifySelection(stroke);
+    return inspection;
+}
+
+export function updateInspection(strokeId, inspectionId, changes) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke || !Array.isArray(stroke.inspections)) return null;
+    const idx = stroke.inspections.findIndex((i) => i.id === inspectionId);
+    if (idx < 0) return null;
+    recordModify([stroke]);
+    const updated = Stations.normalizeInspection({ ...changes, id: inspectionId }, stroke.inspections[idx]);
+    stroke.inspections[idx] = updated;
+    if (editorState.selectedStrokeId === strokeId) notifySelection(stroke);
+    return updated;
+}
+
+export function removeInspection(strokeId, inspectionId) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke || !Array.isArray(stroke.inspections)) return false;
+    const idx = stroke.inspections.findIndex((i) => i.id === inspectionId);
+    if (idx < 0) return false;
+    recordModify([stroke]);
+    stroke.inspections.splice(idx, 1);
+    if (editorState.selectedStrokeId === strokeId) notifySelection(stroke);
+    return true;
+}
+
+export function getInspections(strokeId, filter = {}) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke) return [];
+    return Stations.filterInspections(stroke.inspections, filter || {});
+}
+
+export function getSelectedId() {
+    return editorState.selectedStrokeId;
+}
+
+function initIconStroke(stroke) {
+    if (AssetManager.get(stroke.type)) stroke.status = "active";
+    if (Stations.isStation(stroke.type)) {
+        stroke.inspections = [];
+        Stations.assignNumber(stroke, getBuildingStrokes(), editorState.stationCounters, editorState.numbering);
+    }
+    return stroke;
+}
+
+function createIconStroke(type, point, rotation = 0) {
+    return initIconStroke({
+        id: Date.now() + Math.random(),
+        points: [{ lng: point.lng, lat: point.lat }],
+        color: editorState.strokeColor || "#ef4444",
+        width: editorState.strokeWidth || 2,
+        fill: false,
+        type,
+        rotation
+    });
+}
+
+function isArrayPath(stroke) {
+    return !!stroke && (stroke.points || []).length >= 2 && !isPointBasedStroke(stroke);
+}
+
+// Icon positions along a lng/lat path, each turned to the on-screen direction of its segment.
+function computeArrayPlacements(path, options = editorState.arrayTool) {
+    if (!path || path.length < 2 || !editorState.transform) return [];
+    const frame = Geometry.createLocalFrame(path[0]);
+    const local = path.map(frame.toLocal);
+    return Geometry.distributeAlong(Geometry.pathLength(local), options).map((along) => {
+        const at = Geometry.pointAlongPath(local, along);
+        const a = project(path[at.index]);
+        const b = project(path[at.index + 1]);
+        return { point: frame.toLngLat(at), rotation: Math.atan2(b.y - a.y, b.x - a.x) * 180 / Math.PI };
+    });
+}
+
+function placeAlongPath(path, options = editorState.arrayTool) {
+    const floor = getActiveFloorState();
+    if (!floor || !AssetManager.get(options.type)) return [];
+    const placements = computeArrayPlacements(path, options);
+    const created = placements.map((p) => {
+        const stroke = createIconStroke(options.type, p.point, p.rotation);
+        floor.strokes.push(stroke);
+        return stroke;
+    });
+    recordAdd(created);
+    updateZoneAssociations(floor.strokes);
+    redraw();
+    return created.map((s) => s.id);
+}
+
+function endArrayGesture(e) {
+    const stroke = editorState.currentStroke;
+    const pick = editorState.arrayPick;
+    editorState.drawing = false;
+    editorState.currentStroke = null;
+    editorState.arrayPick = null;
+    const moved = pick && e ? Math.hypot(e.offsetX - pick.x, e.offsetY - pick.y) > 5 : true;
+    if (pick && !moved) {
+        placeAlongPath(pick.stroke.points);
+    } else if (stroke && stroke.points.length >= 2) {
+        placeAlongPath(stroke.points);
+    } else {
+        redraw();
+    }
+}
+
+export function setArrayOptions(options = {}) {
+    const tool = editorState.arrayTool;
+    if (typeof options.type === "string") tool.type = options.type;
+    if (options.count === null || Number.isFinite(options.count)) tool.count = options.count;
+    if (Number.isFinite(options.spacingMeters)) tool.spacing = Math.max(0.1, options.spacingMeters);
+    redraw();
+}
+
+// Places icons along a path on the active floor; options override the array tool settings.
+export function arrayAlongStroke(strokeId, options = {}) {
+    const stroke = (getActiveFloorState()?.strokes || []).find((s) => s.id === strokeId);
+    if (!isArrayPath(stroke)) return [];
+    const settings = { ...editorState.arrayTool };
+    if (typeof options.type === "string") settings.type = options.type;
+    if (options.count === null || Number.isFinite(options.count)) settings.count = options.count;
+    if (Number.isFinite(options.spacingMeters)) settings.spacing = Math.max(0.1, options.spacingMeters);
+    return placeAlongPath(stroke.points, settings);
+}
+
+function findProposalAt(x, y) {
+    const threshold = 16;
+    let best = null;
+    let bestDist = Infinity;
+    editorState.proposals.forEach((p) => {
+        const pt = project(p.point);
+        const d = Math.hypot(pt.x - x, pt.y - y);
+        if (d < bestDist) {
+            bestDist = d;
+            best = p;
+        }
+    });
+    return bestDist <= threshold ? best : null;
+}
+
+// Proposes stations every `spacingMeters` along the outline, offset inside or outside the walls.
+export function suggestPlacements(type = "bait", spacingMeters = 10, offsetMeters = 0.5, side = "inward", doorClearanceMeters = 1.5) {
+    editorState.proposals = [];
+    if (!AssetManager.get(type) || !editorState.outline || editorState.outline.length < 3) {
+        redraw();
+        return [];
+    }
+    const floor = getActiveFloorState();
+    const frame = Geometry.createLocalFrame(getOutlineCenter());
+    const ring = closeRing(editorState.outline.map((p) => ({ ...p }))).map(frame.toLocal);
+    const offset = Math.abs(Number(offsetMeters) || 0) * (side === "outward" ? -1 : 1);
+    const doors = (floor?.strokes || []).filter((s) => s.type === "door" && s.points?.length).map((s) => frame.toLocal(s.points[0]));
+
+    editorState.proposals = Geometry.samplePerimeter(ring, Number(spacingMeters), offset)
+        .filter((p) => !doors.some((d) => Math.hypot(d.x - p.x, d.y - p.y) < doorClearanceMeters))
+        .map((p) => ({ id: crypto.randomUUID(), type, point: frame.toLngLat(p) }));
+    redraw();
+    return getProposals();
+}
+
+export function getProposals() {
+    return editorState.proposals.map((p) => ({ id: p.id, type: p.type, lng: p.point.lng, lat: p.point.lat }));
+}
+
+export function acceptProposal(id) {
+    const idx = editorState.proposals.findIndex((p) => p.id === id);
+    const floor = getActiveFloorState();
+    if (idx < 0 || !floor) return null;
+    const [proposal] = editorState.proposals.splice(idx, 1);
+    const stroke = createIconStroke(proposal.type, proposal.point);
+    floor.strokes.push(stroke);
+    recordAdd([stroke]);
+    updateZoneAssociations(floor.strokes);
+    redraw();
+    return stroke.id;
+}
+
+export function acceptAllProposals() {
+    const floor = getActiveFloorState();
+    if (!floor) return [];
+    const created = editorState.proposals.map((p) => {
+        const stroke = createIconStroke(p.type, p.point);
+        floor.strokes.push(stroke);
+        return stroke;
+    });
+    recordAdd(created);
+    editorState.proposals = [];
+    updateZoneAssociations(floor.strokes);
+    redraw();
+    return created.map((s) => s.id);
+}
+
+export function discardProposal(id) {
+    editorState.proposals = editorState.proposals.filter((p) => p.id !== id);
+    redraw();
+}
+
+export function discardProposals() {
+    editorState.proposals = [];
+    redraw();
+}
+
+function getBuildingStrokes() {
+    return Object.values(editorState.floors).flatMap((floor) => floor?.strokes || []);
+}
+
+function stationLabel(stroke) {
+    return Stations.formatLabel(stroke.type, stroke.number, editorState.numbering);
+}
+
+// Numbering of one station type in the active building.
+export function setNumberingScheme(type, prefix, start, pad) {
+    if (!Stations.setNumbering(editorState.numbering, type, prefix, start, pad)) return false;
+    redraw();
+    return true;
+}
+
+export function getStationLabel(strokeId) {
+    const stroke = findStrokeById(strokeId);
+    return stroke ? stationLabel(stroke) : null;
+}
+
+export function setStationStatus(strokeId, status) {
+    if (!Stations.statuses.includes(status)) return false;
+    const stroke = findStrokeById(strokeId);
+    if (!stroke || !AssetManager.get(stroke.type)) return false;
+    if ((stroke.status || "active") === status) return true;
+    recordModify([stroke]);
+    stroke.status = status;
+    stroke.statusChangedAt = new Date().toISOString();
+    notifyStatusChange(stroke);
+    if (editorState.selectedStrokeId === strokeId && !isStrokeVisible(stroke)) {
+        editorState.selectedStrokeId = null;
+        notifySelection(null);
+    }
+    redraw();
+    return true;
+}
+
+export function setStatusFilter(statuses) {
+    editorState.statusFilter = Array.isArray(statuses) ? statuses.filter((s) => Stations.statuses.includes(s)) : null;
+    const selected = findStrokeById(editorState.selectedStrokeId);
+    if (selected && !isStrokeVisible(selected)) {
+        editorState.selectedStrokeId = null;
+        notifySelection(null);
+    }
+    redraw();
+}
+
+// Renumbers the stations of the active building floor by floor, walking each floor in route order.
+export function renumberStations(type = null) {
+    const ordered = [];
+    Object.keys(editorState.floors).forEach((name) => {
+        const strokes = editorState.floors[name]?.strokes || [];
+        const start = editorState.route?.floor === name ? strokes.find((s) => s.id === editorState.route.startId) : null;
+        const route = computeRoute(strokes, start, true);
+        if (route) route.stops.forEach((s) => ordered.push(s));
+    });
+    if (!ordered.length) return;
+    recordModify(ordered);
+    Object.assign(editorState.stationCounters, Stations.renumber(ordered, type ? [type] : null, editorState.numbering));
     redraw();
 }
 
@@ -1647,3 +3473,129 @@ function getPinchCenter() {
         y: (p1.y + p2.y) / 2
     };
 }
+
+export function setStationProduct(strokeId, product) {
+    const stroke = findStrokeById(strokeId);
+    if (!stroke || !Stations.isStation(stroke.type)) return false;
+    recordModify([stroke]);
+    stroke.product = product ? String(product) : undefined;
+    return true;
+}
+
+// Station counts for every building context, the active one included.
+export function getInventory(options = {}) {
+    const activeKey = editorState.activeBuildingId || "global";
+    const contexts = { ...editorState.store, [activeKey]: { floors: editorState.floors } };
+    const items = [];
+    Object.keys(contexts).forEach((buildingId) => {
+        const floors = contexts[buildingId]?.floors || {};
+        Object.keys(floors).forEach((floorName) => {
+            const strokes = floors[floorName]?.strokes || [];
+            updateZoneAssociations(strokes);
+            const zoneNames = new Map(strokes.filter(isZoneStroke).map((z) => [z.id, z.name || ""]));
+            strokes.forEach((s) => {
+                items.push({
+                    building: buildingId,
+                    floor: floorName,
+                    zoneId: zoneNames.has(s.zoneId) ? s.zoneId : null,
+                    zone: zoneNames.get(s.zoneId) || "",
+                    type: s.type,
+                    product: s.product,
+                    status: s.status
+                });
+            });
+        });
+    });
+    return Inventory.summarize(items, options);
+}
+
+export function exportInventoryCsv(filename, options = {}) {
+    const csv = Inventory.toCsv(getInventory(options));
+    if (filename) {
+        try {
+            Files.download(filename, csv, "text/csv;charset=utf-8");
+        } catch (err) {
+            console.warn("[building-editor] inventory download failed", err);
+        }
+    }
+    return csv;
+}
+
+// PNG of one floor with its outline, image overlay and strokes. `extent: "outline"` (default) fits the
+// building into `width` x `height` CSS pixels keeping the view rotation; "view" copies the canvas as shown.
+// `legend`, `scaleBar` and `northArrow` add the map furniture. Resolves to a Blob, or null for unknown floors.
+export function exportFloorPng(name = editorState.activeFloor, options = {}) {
+    if (!editorState.canvas || !editorState.transform || !editorState.floors[name]) return Promise.resolve(null);
+    const fit = options.extent !== "view";
+    const pr = editorState.pixelRatio || 1;
+    const width = Math.round((fit && options.width) || editorState.cssWidth || editorState.canvas.width / pr);
+    const height = Math.round((fit && options.height) || editorState.cssHeight || editorState.canvas.height / pr);
+    const scale = Renderer.exportScale(width, height, options.dpi);
+    const layer = document.createElement("canvas");
+    layer.width = Math.round(width * scale);
+    layer.height = Math.round(height * scale);
+    const layerCtx = layer.getContext("2d");
+    layerCtx.setTransform(scale, 0, 0, scale, 0, 0);
+
+    const saved = {
+        canvas: editorState.canvas,
+        ctx: editorState.ctx,
+        pixelRatio: editorState.pixelRatio,
+        cssWidth: editorState.cssWidth,
+        cssHeight: editorState.cssHeight,
+        transform: editorState.transform,
+        view: editorState.view,
+        activeFloor: editorState.activeFloor
+    };
+    let furniture;
+    Object.assign(editorState, {
+        canvas: layer,
+        ctx: layerCtx,
+        pixelRatio: scale,
+        cssWidth: width,
+        cssHeight: height,
+        activeFloor: name,
+        exporting: true
+    });
+    if (fit) editorState.view = { scale: 1, offsetX: 0, offsetY: 0, rotation: saved.view?.rotation || 0 };
+    try {
+        computeTransform();
+        redraw();
+        furniture = {
+            legend: options.legend ? Renderer.buildLegend(editorState.floors[name].strokes.filter(isStrokeVisible)) : null,
+            metersPerPixel: options.scaleBar ? 1 / pixelsPerMeter() : null,
+            northArrow: options.northArrow ? editorState.view.rotation || 0 : null
+        };
+    } finally {
+        Object.assign(editorState, saved, { exporting: false });
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = layer.width;
+    canvas.height = layer.height;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = options.background || "white";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(layer, 0, 0);
+    ctx.scale(scale, scale);
+    Renderer.drawMapFurniture(ctx, width, height, furniture);
+    return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// Every floor of the active building: { floorName: Blob }.
+export async function exportFloorPngs(options = {}) {
+    const result = {};
+    for (const name of Object.keys(editorState.floors)) {
+        result[name] = await exportFloorPng(name, options);
+    }
+    return result;
+}
+
+export async function downloadFloorPng(name = editorState.activeFloor, filename, options = {}) {
+    try {
+        const blob = await exportFloorPng(name, options);
+        if (blob) Files.download(filename || `${name}.png`, blob);
+    } catch (err) {
+        console.warn("[building-editor] floor image download failed", err);
+    }
+}
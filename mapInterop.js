@@ -1,4 +1,4 @@
-import { AssetManager, Renderer, Geometry } from './renderCore.js';
+import { AssetManager, Renderer, Geometry, Stations, Compliance, Zones, Inventory, Files } from './renderCore.js';
 
 const state = {
     map: null,
@@ -16,7 +16,35 @@ const state = {
     features: [],
     activeGroupId: null, // "global" or building ID
     featureStore: { "global": [] }, // Partitioned storage
-    interaction: null // { type, startPoint, startFeature, handle }
+    stationCounters: {}, // groupKey -> { type: nextNumber }
+    numbering: {}, // groupKey -> numbering overrides of that building: { type: { prefix, start, pad } }
+    statusFilter: null, // null shows every status
+    primaryBuilding: null, // Ring last reported to the building listener
+    proposals: [], // Ghost stations waiting to be accepted: { id, type, point }
+    heatmap: null, // { radiusMeters, ramp, from, to, opacity } while the activity heatmap is shown
+    violations: [], // Last compliance evaluation, highlighted on the canvas
+    zoneDefaults: { name: "", category: "storage", riskLevel: "low", pattern: "solid" }, // Applied to new zones
+    vertexEdit: null, // { feature, index, recorded } while a vertex is dragged in vertex mode
+    selectedVertex: null, // Index of the highlighted vertex of the selected feature
+    snap: { enabled: true, tolerance: 12, disableKey: "Control", vertexDeleteKeys: ["Alt", "Control", "Meta"] }, // Hold disableKey to place freely; a vertex clicked with one of vertexDeleteKeys other than disableKey is deleted
+    snapTargets: null, // { exclude, targets } projected for the current view, dropped on every redraw
+    snapIndicator: null, // { x, y, kind } of the current snap target
+    measurement: null, // { points, closed, done } of the measure tool
+    measureHover: null,
+    measureDrag: null, // Screen point where the measuring pointer went down
+    keepMeasurements: false, // Store finished measurements as "measure" annotation features
+    selectedIds: [], // Whole selection when several features are picked; selectedFeatureId is its primary item
+    selectionTool: "box", // "box" or "lasso" for dragging out a selection
+    marquee: null, // { points, lasso, additive } while a selection is dragged out
+    clipboard: null, // { features, anchor } from copySelection; survives group switches
+    lastPointer: null, // Last canvas position of the pointer, for pasting at the cursor
+    simplify: { enabled: true, tolerance: 1.5, unit: "px", smoothing: 0 }, // Applied to freehand strokes when they are finished
+    grid: { enabled: false, size: 1, visible: true, origin: null }, // Drawing grid in meters, turned to the selected building
+    angleStep: 45, // Degrees Shift locks line, polygon and zone segments to, relative to the selected building
+    history: {}, // Undo stacks per group key: { past, future } of recorded actions
+    historyMergeWindow: 600, // ms within which repeated edits of the same features fold into one undo step
+    exporting: false, // Set while redraw renders into an exported image; leaves out the grid, selection and drafts
+    interaction: null // { type, handle, startPoint, items: [{ feature, startPoints, startRotation, startWidth }] }
 };
 
 let maplibrePromise;
@@ -63,42 +91,184 @@ function normalizeAndSortZ() {
     normalizeZFromOrder();
 }
 
-function ensureHistory() {
-    if (!state.history || !Array.isArray(state.history.past) || !Array.isArray(state.history.future)) {
-        state.history = { past: [], future: [] };
+function getStationCounters(groupKey = state.activeGroupId || "global") {
+    if (!state.stationCounters[groupKey]) state.stationCounters[groupKey] = {};
+    return state.stationCounters[groupKey];
+}
+
+function getNumberingScheme(groupKey = state.activeGroupId || "global") {
+    if (!state.numbering[groupKey]) state.numbering[groupKey] = {};
+    return state.numbering[groupKey];
+}
+
+function stationLabel(feature) {
+    return Stations.formatLabel(feature.type, feature.number, getNumberingScheme(feature.groupId || "global"));
+}
+
+function initIconFeature(feature) {
+    if (AssetManager.get(feature.type)) {
+        feature.status = "active";
     }
+    if (Stations.isStation(feature.type)) {
+        feature.inspections = [];
+        Stations.assignNumber(feature, state.features, getStationCounters(), getNumberingScheme());
+    }
+    return feature;
+}
+
+function createIconFeature(type, point, rotation = 0) {
+    return initIconFeature({
+        type,
+        color: state.strokeColor,
+        width: state.strokeWidth,
+        points: [{ lng: point.lng, lat: point.lat }],
+        id: crypto.randomUUID(),
+        zIndex: getNextZIndex(),
+        groupId: state.activeGroupId,
+        rotation
+    });
+}
+
+function isFeatureVisible(feature) {
+    return Stations.isVisible(feature, state.statusFilter);
 }
 
 function cloneFeature(f) {
-    return {
+    const copy = {
         ...f,
         points: Array.isArray(f.points) ? f.points.map((p) => ({ ...p })) : []
     };
+    if (Array.isArray(f.inspections)) copy.inspections = f.inspections.map((i) => ({ ...i }));
+    return copy;
 }
 
-function snapshotState() {
-    ensureHistory();
-    return {
-        features: state.features.map(cloneFeature),
-        selectedFeatureId: state.selectedFeatureId || null
-    };
+// History is kept per group partition as lists of undo actions recorded around each change:
+// "remove" (of an added feature), "insert" (of a removed one), "restore" (a changed feature's earlier copy)
+// and "order" (ids with their zIndex). Applying a list returns the list that reverses it.
+function getHistory(groupKey = state.activeGroupId || "global") {
+    if (!state.history[groupKey]) state.history[groupKey] = { past: [], future: [] };
+    return state.history[groupKey];
+}
+
+// `buildActions` only runs when the step is not folded into the previous one with the same `mergeKey`.
+function recordCommand(buildActions, mergeKey = null, groupKey = state.activeGroupId || "global") {
+    const history = getHistory(groupKey);
+    const now = Date.now();
+    const last = history.past[history.past.length - 1];
+    history.future = [];
+    if (mergeKey && last && last.mergeKey === mergeKey && now - last.time <= state.historyMergeWindow) {
+        last.time = now;
+        return;
+    }
+    const selectedFeatureId = groupKey === (state.activeGroupId || "global") ? state.selectedFeatureId || null : null;
+    history.past.push({ actions: buildActions(), mergeKey, time: now, selectedFeatureId });
+    if (history.past.length > 100) {
+        history.past.shift();
+    }
+}
+
+function orderAction() {
+    return { type: "order", order: state.features.map((f) => [f.id, f.zIndex]) };
+}
+
+// After features were added to the active group.
+function recordAdd(features) {
+    if (!features.length) return;
+    recordCommand(() => features.map((f) => ({ type: "remove", id: f.id })));
+}
+
+// Before features are removed; the order is kept too since the survivors get renumbered.
+function recordRemove(features) {
+    if (!features.length) return;
+    recordCommand(() => [
+        orderAction(),
+        ...features
+            .map((f) => ({ type: "insert", feature: cloneFeature(f), index: state.features.indexOf(f) }))
+            .sort((a, b) => a.index - b.index)
+    ]);
 }
 
-function pushHistory() {
-    ensureHistory();
-    const snap = snapshotState();
-    state.history.past.push(snap);
-    if (state.history.past.length > 100) {
-        state.history.past.shift();
+// Before features are changed in place; only copies of those features are kept. Features of another group
+// are recorded on that group's stack, which is only stepped once it is active again.
+function recordModify(features, mergeKey = null) {
+    if (!features.length) return;
+    const groupKey = groupKeyOf(features[0]);
+    if (groupKey === null) return;
+    recordCommand(() => features.map((f) => ({ type: "restore", id: f.id, data: cloneFeature(f) })), mergeKey, groupKey);
+}
+
+function groupKeyOf(feature) {
+    const activeKey = state.activeGroupId || "global";
+    if (state.features.includes(feature)) return activeKey;
+    return Object.keys(state.featureStore).find((key) => key !== activeKey && state.featureStore[key].includes(feature)) ?? null;
+}
+
+// Before the stacking order of the active group changes.
+function recordReorder() {
+    recordCommand(() => [orderAction()]);
+}
+
+function applyOrder(order) {
+    const rank = new Map(order.map(([id], i) => [id, i]));
+    const zIndex = new Map(order);
+    const ranked = state.features.map((f, i) => ({ f, r: rank.has(f.id) ? rank.get(f.id) : order.length + i }));
+    ranked.sort((a, b) => a.r - b.r);
+    ranked.forEach(({ f }, i) => {
+        state.features[i] = f;
+        if (zIndex.has(f.id)) f.zIndex = zIndex.get(f.id);
+    });
+}
+
+// Applies undo actions last to first and returns their inverses, which the opposite stack applies the same way.
+function applyActions(actions) {
+    const inverse = [];
+    for (let i = actions.length - 1; i >= 0; i--) {
+        const action = actions[i];
+        const idx = action.id !== undefined ? state.features.findIndex((f) => f.id === action.id) : -1;
+        switch (action.type) {
+            case "remove": {
+                if (idx < 0) break;
+                const [removed] = state.features.splice(idx, 1);
+                inverse.push({ type: "insert", feature: removed, index: idx });
+                break;
+            }
+            case "insert": {
+                const feature = cloneFeature(action.feature);
+                state.features.splice(Math.min(action.index, state.features.length), 0, feature);
+                inverse.push({ type: "remove", id: feature.id });
+                break;
+            }
+            case "restore": {
+                if (idx < 0) break;
+                const feature = state.features[idx];
+                inverse.push({ type: "restore", id: action.id, data: cloneFeature(feature) });
+                Object.keys(feature).forEach((key) => delete feature[key]);
+                Object.assign(feature, cloneFeature(action.data));
+                break;
+            }
+            case "order":
+                inverse.push(orderAction());
+                applyOrder(action.order);
+                break;
+        }
     }
-    state.history.future = [];
+    return inverse;
 }
 
-function applySnapshot(snap) {
-    if (!snap) return;
-    ensureHistory();
-    state.features = snap.features.map(cloneFeature);
-    state.selectedFeatureId = snap.selectedFeatureId || null;
+function stepHistory(from, to) {
+    const entry = from.pop();
+    if (!entry) return;
+    // A new edit must not fold into the step now on top
+    if (from.length) from[from.length - 1].mergeKey = null;
+    const selectedFeatureId = state.selectedFeatureId || null;
+    to.push({ actions: applyActions(entry.actions), mergeKey: null, time: 0, selectedFeatureId });
+    const restored = entry.selectedFeatureId;
+    state.selectedFeatureId = restored && state.features.some((f) => f.id === restored) ? restored : null;
+    state.selectedIds = [];
+    state.selectedVertex = null;
+    state.vertexEdit = null;
+    state.interaction = null;
+    updateZoneAssociations(state.features);
     redraw();
 }
 
@@ -167,7 +337,7 @@ function setPointerMode() {
         state.map.getCanvas().style.pointerEvents = "auto";
         state.map.getCanvas().style.cursor = "pointer";
         state.canvas.style.cursor = "pointer";
-    } else if (state.mode === "select") {
+    } else if (state.mode === "select" || state.mode === "vertex") {
         state.canvas.style.pointerEvents = "auto";
         state.map.dragPan.disable();
         state.map.scrollZoom.enable();
@@ -196,77 +366,91 @@ function beginDrawing(e) {
 
     const { offsetX, offsetY } = e;
 
+    // Clicking a ghost station accepts it
+    if (state.proposals.length) {
+        const ghost = findProposalAt(offsetX, offsetY);
+        if (ghost) {
+            acceptProposal(ghost.id);
+            return;
+        }
+    }
+
+    if (state.mode === "vertex") {
+        e.preventDefault();
+        e.stopPropagation();
+        state.canvas.setPointerCapture(e.pointerId);
+        beginVertexEdit(e);
+        return;
+    }
+
     if (state.mode === "select") {
         e.preventDefault();
         e.stopPropagation();
         state.canvas.setPointerCapture(e.pointerId);
 
         // 1. Try hitting handles of current selection
-        if (state.selectedFeatureId) {
-            const feature = state.features.find(f => f.id === state.selectedFeatureId);
-            if (feature) {
-                const pts = feature.points.map(projectPoint);
-                const bounds = Geometry.getFeatureBounds(state.ctx, feature, pts);
-                const handle = Geometry.hitTestHandles(offsetX, offsetY, bounds);
-                if (handle) {
-                    state.interaction = {
-                        type: handle.type,
-                        handle: handle.handle,
-                        startPoint: { x: offsetX, y: offsetY },
-                        feature: feature,
-                        startCenter: bounds.center,
-                        startRotation: feature.rotation || 0,
-                        startWidth: feature.width || 4,
-                        startPoints: feature.points.map(p => ({ ...p })),
-                        startWorldPoint: state.map.unproject([offsetX, offsetY])
-                    };
-                    state.drawing = true;
-                    state.lastPoint = { x: offsetX, y: offsetY };
-                    return;
-                }
+        const selection = getSelectedFeatures();
+        if (selection.length && !e.shiftKey) {
+            const bounds = getSelectionBounds(selection);
+            const handle = Geometry.hitTestHandles(offsetX, offsetY, bounds);
+            if (handle) {
+                startTransform(handle.type, handle.handle, selection, bounds, e);
+                return;
             }
         }
 
-        // 2. Try selecting (or dragging) a feature
+        // 2. Try selecting (or dragging) a feature; shift-click toggles it in the selection
         const clickResult = findFeatureAt(offsetX, offsetY);
         if (clickResult.feature) {
-            state.selectedFeatureId = clickResult.feature.id;
-            notifySelection(clickResult.feature);
-
-            const pts = clickResult.feature.points.map(projectPoint);
-            const bounds = Geometry.getFeatureBounds(state.ctx, clickResult.feature, pts);
+            const hit = clickResult.feature;
+            if (e.shiftKey) {
+                toggleSelected(hit);
+                redraw();
+                return;
+            }
+            const group = selection.length > 1 && selection.includes(hit) ? selection : [hit];
+            if (group.length === 1) state.selectedIds = [hit.id];
+            state.selectedFeatureId = hit.id;
+            notifySelection(hit);
 
             // Start drag interaction immediately
-            state.interaction = {
-                type: 'drag',
-                handle: 'move',
-                startPoint: { x: offsetX, y: offsetY },
-                feature: clickResult.feature,
-                startPoints: clickResult.feature.points.map(p => ({ ...p })),
-                startCenter: bounds.center,
-                startWorldPoint: state.map.unproject([offsetX, offsetY])
+            startTransform("drag", "move", group, getSelectionBounds(group), e);
+        } else {
+            // 3. Empty space: drag out a box or lasso
+            if (!e.shiftKey) {
+                if (state.selectedFeatureId) notifySelection(null);
+                state.selectedFeatureId = null;
+                state.selectedIds = [];
+            }
+            state.marquee = {
+                points: [{ x: offsetX, y: offsetY }],
+                lasso: state.selectionTool === "lasso",
+                additive: e.shiftKey
             };
             state.drawing = true;
             state.lastPoint = { x: offsetX, y: offsetY };
-        } else {
-            state.selectedFeatureId = null;
-            notifySelection(null);
         }
         redraw();
         return;
     }
 
-    if (state.mode === "polygon") {
+    if (isPolygonMode()) {
         handlePolygonClick(e);
         return;
     }
 
+    if (state.mode === "measure") {
+        handleMeasureDown(e);
+        return;
+    }
+
     if (state.mode === "erase") {
         eraseAt(offsetX, offsetY);
         return;
     }
 
-    const lngLat = state.map.unproject([offsetX, offsetY]);
+    const start = isConstrainedMode() ? constrainedPosition(e) : snapPosition(e);
+    const lngLat = state.map.unproject([start.x, start.y]);
     state.drawing = true;
     state.lastPoint = { x: offsetX, y: offsetY };
     state.startPoint = { x: offsetX, y: offsetY };
@@ -289,9 +473,11 @@ function beginDrawing(e) {
             if (!text) return;
             state.draft.text = text;
         }
+        initIconFeature(state.draft);
 
-        pushHistory();
         state.features.push(state.draft);
+        recordAdd([state.draft]);
+        updateZoneAssociations(state.features);
         state.draft = null;
         state.drawing = false;
         state.startPoint = null;
@@ -300,7 +486,12 @@ function beginDrawing(e) {
 }
 
 function draw(e) {
-    if (!state.drawing || !state.ctx || !state.lastPoint || state.mode === "erase") return;
+    if (!state.ctx || !state.map) return;
+    state.lastPointer = { x: e.offsetX, y: e.offsetY };
+    if (!state.drawing || !state.lastPoint || state.mode === "erase") {
+        updateSnapPreview(e);
+        return;
+    }
     const { offsetX, offsetY } = e;
 
     if (state.mode === "select" && state.interaction) {
@@ -308,11 +499,28 @@ function draw(e) {
         return;
     }
 
+    if (state.mode === "select" && state.marquee) {
+        const pts = state.marquee.points;
+        if (state.marquee.lasso) pts.push({ x: offsetX, y: offsetY });
+        else pts[1] = { x: offsetX, y: offsetY };
+        redraw();
+        return;
+    }
+
+    if (state.mode === "vertex") {
+        if (state.vertexEdit) updateVertexDrag(e);
+        return;
+    }
+
     if (state.mode === "select") return;
 
-    const lngLat = state.map.unproject([offsetX, offsetY]);
+    // Freehand strokes only snap where they start
+    let pos = { x: offsetX, y: offsetY };
+    if (isConstrainedMode()) pos = constrainedPosition(e, constraintAnchor());
+    else if (state.mode !== "draw") pos = snapPosition(e);
+    const lngLat = state.map.unproject([pos.x, pos.y]);
 
-    if (state.mode === "polygon") {
+    if (isPolygonMode()) {
         state.polygonHover = { lng: lngLat.lng, lat: lngLat.lat };
         redraw();
         return;
@@ -329,17 +537,29 @@ function draw(e) {
 }
 
 function endDrawing(e) {
+    if (state.mode === "vertex") {
+        endVertexDrag();
+        return;
+    }
+
+    if (state.mode === "measure") {
+        endMeasureDrag(e);
+        return;
+    }
+
     if (state.mode === "select") {
         if (state.interaction) {
-            pushHistory();
+            updateZoneAssociations(state.features);
             state.interaction = null;
             state.drawing = false;
             redraw();
+        } else if (state.marquee) {
+            finishMarquee();
         }
         return;
     }
 
-    if (state.mode === "polygon") {
+    if (isPolygonMode()) {
         return;
     }
 
@@ -350,7 +570,9 @@ function endDrawing(e) {
         return;
     }
 
-    const lngLat = state.map.unproject([e.offsetX, e.offsetY]);
+    const end = isConstrainedMode() ? constrainedPosition(e, constraintAnchor()) : snapPosition(e);
+    state.snapIndicator = null;
+    const lngLat = state.map.unproject([end.x, end.y]);
     if (state.mode !== "draw" && state.mode !== "point" && state.mode !== "trap" && state.mode !== "bait" &&
         state.mode !== "flykiller" && state.mode !== "insect_trap" && state.mode !== "foam" &&
         state.mode !== "detector" && state.mode !== "note" && state.mode !== "door" && state.mode !== "window") {
@@ -358,8 +580,11 @@ function endDrawing(e) {
     }
 
     if (state.draft) {
-        pushHistory();
+        if (state.draft.type === "draw" && state.simplify.enabled) {
+            state.draft.points = simplifyPoints(state.draft.points, state.simplify);
+        }
         state.features.push(state.draft);
+        recordAdd([state.draft]);
     }
     redraw();
 
@@ -384,9 +609,11 @@ function projectPoint(pt) {
 
 
 function redraw() {
+    state.snapTargets = null;
     if (!state.ctx || !state.canvas || !state.map) return;
     state.ctx.clearRect(0, 0, state.canvas.width, state.canvas.height);
     ensureFeatureMetadata();
+    if (!state.exporting) drawGrid();
 
     const toScreenPoints = (pts) => pts.map(projectPoint);
 
@@ -426,6 +653,25 @@ function redraw() {
                 Renderer.drawGeometry(state.ctx, [p], { color, width, fill: true }, "point");
                 break;
             }
+            case "polygon": {
+                const pts = toScreenPoints(feature.points);
+                if (pts.length < 2) return;
+                Renderer.drawGeometry(state.ctx, pts, {
+                    color,
+                    width,
+                    fill: feature.fill !== false && pts.length >= 3,
+                    fillColor: feature.fillColor
+                }, "polygon");
+                break;
+            }
+            case "zone": {
+                Renderer.drawZone(state.ctx, toScreenPoints(feature.points), feature);
+                break;
+            }
+            case "measure": {
+                drawMeasurement(feature.points, Geometry.isClosedRing(feature.points));
+                break;
+            }
             case "note": {
                 const [p] = toScreenPoints(feature.points);
                 Renderer.drawNote(state.ctx, feature.text, p.x, p.y, color, width, feature.rotation);
@@ -434,26 +680,53 @@ function redraw() {
             default: {
                 if (AssetManager.get(feature.type)) {
                     const [iconPt] = toScreenPoints(feature.points);
-                    Renderer.drawIcon(state.ctx, feature.type, iconPt.x, iconPt.y, width, feature.rotation);
+                    Renderer.drawIcon(state.ctx, feature.type, iconPt.x, iconPt.y, width, feature.rotation, {
+                        label: stationLabel(feature),
+                        status: feature.status
+                    });
                 }
                 break;
             }
         }
     };
     
-    const ordered = sortByZIndex(state.features);
+    drawHeatmap();
+
+    const ordered = sortByZIndex(state.features.filter(isFeatureVisible));
     ordered.forEach(drawFeature);
 
-    if (state.selectedFeatureId) {
+    drawViolations(ordered);
+    if (state.exporting) {
+        redrawBuilding();
+        return;
+    }
+
+    const selection = getSelectedFeatures();
+    if (selection.length > 1 && state.mode === "select") {
+        const items = selection.map((feature) => ({ feature, screenPoints: feature.points.map(projectPoint) }));
+        Renderer.drawMultiSelection(state.ctx, items, Geometry.getCombinedBounds(state.ctx, items));
+    } else if (state.selectedFeatureId) {
         const selected = ordered.find((f) => f.id === state.selectedFeatureId);
         if (selected) {
             const pts = selected.points.map(projectPoint);
-            Renderer.drawSelectionOverlay(state.ctx, selected, pts);
+            if (state.mode === "vertex") {
+                Renderer.drawVertexHandles(state.ctx, pts, {
+                    activeIndex: state.selectedVertex,
+                    midpoints: selected.type !== "line"
+                });
+            } else {
+                Renderer.drawSelectionOverlay(state.ctx, selected, pts);
+            }
         }
     }
 
+    state.proposals.forEach((p) => {
+        const pt = projectPoint(p.point);
+        Renderer.drawIcon(state.ctx, p.type, pt.x, pt.y, state.strokeWidth, 0, { ghost: true });
+    });
+
     if (state.draft) {
-        if (state.draft.type === "polygon" && state.polygonHover) {
+        if ((state.draft.type === "polygon" || state.draft.type === "zone") && state.polygonHover) {
             const hoverFeature = {
                 ...state.draft,
                 points: [...state.draft.points, state.polygonHover]
@@ -464,9 +737,65 @@ function redraw() {
         }
     }
 
+    const measurement = state.measurement;
+    if (measurement && measurement.points.length) {
+        const pts = measurement.done || !state.measureHover
+            ? measurement.points
+            : [...measurement.points, state.measureHover];
+        drawMeasurement(pts, measurement.closed);
+    }
+
+    if (state.marquee) {
+        Renderer.drawMarquee(state.ctx, state.marquee.points, state.marquee.lasso);
+    }
+
+    Renderer.drawSnapIndicator(state.ctx, state.snapIndicator);
+
     redrawBuilding();
 }
 
+function drawHeatmap() {
+    const heatmap = state.heatmap;
+    if (!heatmap) return;
+    const filter = { from: heatmap.from, to: heatmap.to };
+    const samples = [];
+    let radiusPx = 0;
+    state.features.forEach((f) => {
+        if (!Stations.isStation(f.type) || !f.points?.length || !isFeatureVisible(f)) return;
+        const value = Stations.activityScore(f.inspections, filter);
+        if (value === null) return;
+        const pt = projectPoint(f.points[0]);
+        if (!radiusPx) {
+            const frame = Geometry.createLocalFrame(f.points[0]);
+            const edge = projectPoint(frame.toLngLat({ x: 0, y: heatmap.radiusMeters }));
+            radiusPx = Math.hypot(edge.x - pt.x, edge.y - pt.y);
+        }
+        samples.push({ x: pt.x, y: pt.y, value });
+    });
+    const clip = (state.buildingFeatures || []).map((ring) => ring.map(projectPoint));
+    Renderer.drawHeatmap(state.ctx, samples, {
+        radius: radiusPx,
+        ramp: heatmap.ramp,
+        opacity: heatmap.opacity,
+        clip: heatmap.clipToBuildings ? clip : null
+    });
+}
+
+function drawViolations(visible) {
+    const activeKey = state.activeGroupId || "global";
+    state.violations.forEach((v) => {
+        if (v.groupId !== activeKey) return;
+        const target = visible.find((f) => f.id === (v.featureId ?? v.zoneId));
+        if (!target || !target.points?.length) return;
+        if (v.featureId === null) {
+            Renderer.drawViolationArea(state.ctx, (featureToRing(target) || target.points).map(projectPoint));
+        } else {
+            const pt = projectPoint(target.points[0]);
+            Renderer.drawViolation(state.ctx, pt.x, pt.y);
+        }
+    });
+}
+
 function loadAssets() {
     return AssetManager.loadAll().then(() => {
         redraw();
@@ -483,70 +812,67 @@ function loadAssets() {
 
 
 
+function isPointBasedFeature(feature) {
+    return feature.type === "point" || feature.type === "note" || !!AssetManager.get(feature.type);
+}
+
+// Moves, rotates or scales every item of the interaction around the shared start center. A lone
+// icon or note turns/grows in place; inside a group, icons and notes travel with the other shapes.
 function updateTransform(e) {
     const inter = state.interaction;
-    if (!inter || !inter.feature) return;
+    if (!inter || !inter.items.length) return;
 
     const { offsetX, offsetY } = e;
     const center = inter.startCenter;
+    const group = inter.items.length > 1;
+    const transformPoints = (item, fn) => item.startPoints.map(p => {
+        const screen = projectPoint(p);
+        const next = fn(screen.x - center.x, screen.y - center.y);
+        const world = state.map.unproject([center.x + next.x, center.y + next.y]);
+        return { lng: world.lng, lat: world.lat };
+    });
 
+    let apply = null;
     if (inter.type === "drag") {
         const currentWorld = state.map.unproject([offsetX, offsetY]);
         const dxWorld = currentWorld.lng - inter.startWorldPoint.lng;
         const dyWorld = currentWorld.lat - inter.startWorldPoint.lat;
 
-        inter.feature.points = inter.startPoints.map(p => ({
-            lng: p.lng + dxWorld,
-            lat: p.lat + dyWorld
-        }));
+        apply = (item) => {
+            item.feature.points = item.startPoints.map(p => ({
+                lng: p.lng + dxWorld,
+                lat: p.lat + dyWorld
+            }));
+        };
     } else if (inter.type === "rotate") {
         const startRad = Math.atan2(inter.startPoint.y - center.y, inter.startPoint.x - center.x);
         const currRad = Math.atan2(offsetY - center.y, offsetX - center.x);
         const deltaDeg = (currRad - startRad) * 180 / Math.PI;
+        const rad = deltaDeg * Math.PI / 180;
 
-        const isPointBased = inter.feature.type === "point" || inter.feature.type === "note" || AssetManager.get(inter.feature.type);
-
-        if (isPointBased) {
-            inter.feature.rotation = inter.startRotation + deltaDeg;
-        } else {
-            const rad = deltaDeg * Math.PI / 180;
-            inter.feature.points = inter.startPoints.map(p => {
-                const screen = projectPoint(p);
-                const dx = screen.x - center.x;
-                const dy = screen.y - center.y;
-                const nx = dx * Math.cos(rad) - dy * Math.sin(rad);
-                const ny = dx * Math.sin(rad) + dy * Math.cos(rad);
-                const rotated = state.map.unproject([center.x + nx, center.y + ny]);
-                return { lng: rotated.lng, lat: rotated.lat };
-            });
-        }
+        apply = (item) => {
+            const isPointBased = isPointBasedFeature(item.feature);
+            if (isPointBased) {
+                item.feature.rotation = item.startRotation + deltaDeg;
+            }
+            if (!isPointBased || group) {
+                item.feature.points = transformPoints(item, (dx, dy) => ({
+                    x: dx * Math.cos(rad) - dy * Math.sin(rad),
+                    y: dx * Math.sin(rad) + dy * Math.cos(rad)
+                }));
+            }
+        };
     } else if (inter.type === "scale" || inter.type === "scale-axis") {
-        const isPointBased = inter.feature.type === "point" || inter.feature.type === "note" || AssetManager.get(inter.feature.type);
-
+        let sx = 1, sy = 1;
         if (inter.type === "scale") {
             const startDist = Math.hypot(inter.startPoint.x - center.x, inter.startPoint.y - center.y);
             const currDist = Math.hypot(offsetX - center.x, offsetY - center.y);
 
             // Prevent division by zero or negative scale
             if (startDist < 1) return;
-            const scale = currDist / startDist;
-
-            if (isPointBased) {
-                inter.feature.width = Math.round(Math.max(1, inter.startWidth * scale));
-            } else {
-                inter.feature.points = inter.startPoints.map(p => {
-                    const screen = projectPoint(p);
-                    const dx = screen.x - center.x;
-                    const dy = screen.y - center.y;
-                    const nx = dx * scale;
-                    const ny = dy * scale;
-                    const scaled = state.map.unproject([center.x + nx, center.y + ny]);
-                    return { lng: scaled.lng, lat: scaled.lat };
-                });
-            }
+            sx = sy = currDist / startDist;
         } else {
             // axis scaling
-            let sx = 1, sy = 1;
             const dx = Math.abs(offsetX - center.x);
             const dy = Math.abs(offsetY - center.y);
             const sdx = Math.abs(inter.startPoint.x - center.x);
@@ -560,58 +886,100 @@ function updateTransform(e) {
                 if (sdy < 1) return;
                 sy = dy / sdy;
             }
+        }
+        const widthScale = (inter.handle === "top" || inter.handle === "bottom") ? sy : sx;
 
-            if (isPointBased) {
-                const scale = (inter.handle === "left" || inter.handle === "right") ? sx : sy;
-                inter.feature.width = Math.round(Math.max(1, inter.startWidth * scale));
+        apply = (item) => {
+            if (isPointBasedFeature(item.feature) && !group) {
+                item.feature.width = Math.round(Math.max(1, item.startWidth * widthScale));
             } else {
-                inter.feature.points = inter.startPoints.map(p => {
-                    const screen = projectPoint(p);
-                    const sdx_p = screen.x - center.x;
-                    const sdy_p = screen.y - center.y;
-                    const nx = sdx_p * sx;
-                    const ny = sdy_p * sy;
-                    const scaled = state.map.unproject([center.x + nx, center.y + ny]);
-                    return { lng: scaled.lng, lat: scaled.lat };
-                });
+                item.feature.points = transformPoints(item, (dx, dy) => ({ x: dx * sx, y: dy * sy }));
             }
-        }
+        };
     }
+    if (!apply) return;
 
+    // One undo step per gesture, recorded before the first change
+    if (!inter.recorded) {
+        const features = inter.items.map((item) => item.feature);
+        recordModify(features);
+        inter.recorded = true;
+    }
+    inter.items.forEach(apply);
     redraw();
 }
 
-function eraseAt(x, y) {
-    if (!state.map || state.features.length === 0) return;
-    const threshold = 20;
-    let bestIndex = -1;
-    let bestDistance = Infinity;
+function startTransform(type, handle, features, bounds, e) {
+    const { offsetX, offsetY } = e;
+    state.interaction = {
+        type,
+        handle,
+        startPoint: { x: offsetX, y: offsetY },
+        items: features.map((feature) => ({
+            feature,
+            startPoints: feature.points.map(p => ({ ...p })),
+            startRotation: feature.rotation || 0,
+            startWidth: feature.width || 4
+        })),
+        startCenter: bounds ? bounds.center : { x: offsetX, y: offsetY },
+        startWorldPoint: state.map.unproject([offsetX, offsetY]),
+        recorded: false
+    };
+    state.drawing = true;
+    state.lastPoint = { x: offsetX, y: offsetY };
+}
 
-    const distanceToFeature = (feature) => {
-        const pts = feature.points.map(projectPoint);
-        if (!pts.length) return Infinity;
-        if (pts.length === 1) {
-            return Math.hypot(pts[0].x - x, pts[0].y - y);
-        }
+// Selected features of the active group; falls back to the single selectedFeatureId when the
+// multi-selection list was not kept in sync with it.
+function getSelectedFeatures() {
+    if (!state.selectedFeatureId) return [];
+    const ids = state.selectedIds.includes(state.selectedFeatureId) ? state.selectedIds : [state.selectedFeatureId];
+    return state.features.filter((f) => ids.includes(f.id) && isFeatureVisible(f));
+}
 
-        let min = Infinity;
-        for (let i = 0; i < pts.length - 1; i++) {
-            min = Math.min(min, pointToSegmentDistance(x, y, pts[i], pts[i + 1]));
-        }
-        return min;
-    };
+function getSelectionBounds(features) {
+    const items = features.map((feature) => ({ feature, screenPoints: feature.points.map(projectPoint) }));
+    return items.length === 1
+        ? Geometry.getFeatureBounds(state.ctx, items[0].feature, items[0].screenPoints)
+        : Geometry.getCombinedBounds(state.ctx, items);
+}
 
-    state.features.forEach((f, i) => {
-        const d = distanceToFeature(f);
-        if (d < bestDistance) {
-            bestDistance = d;
-            bestIndex = i;
-        }
-    });
+function toggleSelected(feature) {
+    const ids = getSelectedFeatures().map((f) => f.id);
+    const next = ids.includes(feature.id) ? ids.filter((id) => id !== feature.id) : [...ids, feature.id];
+    state.selectedIds = next;
+    state.selectedFeatureId = next.length ? next[next.length - 1] : null;
+    notifySelection(next.length ? state.features.find((f) => f.id === state.selectedFeatureId) : null);
+}
+
+function finishMarquee() {
+    const marquee = state.marquee;
+    state.marquee = null;
+    state.drawing = false;
+    state.lastPoint = null;
+    if (marquee.points.length >= 2) {
+        const hits = state.features.filter((f) => isFeatureVisible(f) &&
+            Geometry.isInsideMarquee(f.points.map(projectPoint), marquee.points, marquee.lasso));
+        const ids = marquee.additive ? getSelectedFeatures().map((f) => f.id) : [];
+        hits.forEach((f) => {
+            if (!ids.includes(f.id)) ids.push(f.id);
+        });
+        state.selectedIds = ids;
+        state.selectedFeatureId = ids.length ? ids[ids.length - 1] : null;
+        notifySelection(ids.length ? state.features.find((f) => f.id === state.selectedFeatureId) : null);
+    }
+    redraw();
+}
+
+function eraseAt(x, y) {
+    if (!state.map || state.features.length === 0) return;
+    // Only edges and icons: a click inside a large zone must not erase it
+    const { feature } = findFeatureAt(x, y, { threshold: 20, fill: false });
+    const bestIndex = feature ? state.features.indexOf(feature) : -1;
 
-    if (bestIndex >= 0 && bestDistance <= threshold) {
+    if (bestIndex >= 0) {
         const removed = state.features[bestIndex];
-        pushHistory();
+        recordRemove([removed]);
         state.features.splice(bestIndex, 1);
         if (removed && removed.id && state.selectedFeatureId === removed.id) {
             state.selectedFeatureId = null;
@@ -622,6 +990,7 @@ function eraseAt(x, y) {
 }
 
 function redrawBuilding() {
+    state.snapTargets = null;
     if (!state.buildingCtx || !state.buildingCanvas) return;
     state.buildingCtx.clearRect(0, 0, state.buildingCanvas.width, state.buildingCanvas.height);
     if (!state.buildingFeatures.length || !state.map) return;
@@ -669,6 +1038,35 @@ function closeRing(ring) {
     return ring;
 }
 
+// Closed lng/lat ring for area features; rectangles and circles are stored as two points.
+function featureToRing(feature) {
+    const pts = feature.points || [];
+    if (feature.type === "rectangle" && pts.length >= 2) {
+        const [a, b] = pts;
+        return closeRing([
+            { lng: a.lng, lat: a.lat },
+            { lng: b.lng, lat: a.lat },
+            { lng: b.lng, lat: b.lat },
+            { lng: a.lng, lat: b.lat }
+        ]);
+    }
+    if (feature.type === "circle" && pts.length >= 2) {
+        const frame = Geometry.createLocalFrame(pts[0]);
+        const edge = frame.toLocal(pts[1]);
+        const r = Math.hypot(edge.x, edge.y);
+        const ring = [];
+        for (let i = 0; i < 32; i++) {
+            const ang = (i / 32) * Math.PI * 2;
+            ring.push(frame.toLngLat({ x: r * Math.cos(ang), y: r * Math.sin(ang) }));
+        }
+        return closeRing(ring);
+    }
+    if (pts.length >= 3) {
+        return closeRing(pts.map((p) => ({ lng: p.lng, lat: p.lat })));
+    }
+    return null;
+}
+
 function pointInPolygon(lng, lat, ring) {
     return Geometry.pointInPolygon({ x: lng, y: lat }, ring);
 }
@@ -847,6 +1245,7 @@ async function handleMapClick(e) {
 }
 
 function notifyBuildingSelection(primaryRing) {
+    state.primaryBuilding = Array.isArray(primaryRing) ? primaryRing : null;
     console.debug("[building] notifyBuildingSelection", {
         hasListener: !!buildingListener,
         ringPoints: Array.isArray(primaryRing) ? primaryRing.length : "none"
@@ -860,13 +1259,13 @@ function notifyBuildingSelection(primaryRing) {
     }
 }
 
-function findFeatureAt(x, y) {
+// `fill: false` only matches edges and icons within `threshold` px, as the eraser wants.
+function findFeatureAt(x, y, { threshold = 18, fill = true } = {}) {
     if (!state.map || !state.features.length) return { feature: null, dist: Infinity };
     ensureFeatureMetadata();
     const clickPoint = { x, y };
     let best = null;
     let bestDist = Infinity;
-    const thresholdPx = 18;
 
     const pointDist = (feature) => {
         const pts = feature.points || [];
@@ -883,6 +1282,7 @@ function findFeatureAt(x, y) {
     };
 
     state.features.forEach((f) => {
+        if (!isFeatureVisible(f)) return;
         const d = pointDist(f);
         if (d < bestDist) {
             bestDist = d;
@@ -890,76 +1290,495 @@ function findFeatureAt(x, y) {
         }
     });
 
-    if (best && bestDist <= thresholdPx) {
+    if (best && bestDist <= threshold) {
         return { feature: best, dist: bestDist };
     }
+    if (!fill) return { feature: null, dist: Infinity };
+
+    // Nothing near an edge or icon: fall back to the topmost filled shape under the cursor
+    const filled = sortByZIndex(state.features.filter((f) => isFeatureVisible(f) && isFilledShape(f))).reverse()
+        .find((f) => Geometry.pointInPolygon(clickPoint, f.points.map(projectPoint)));
+    if (filled) {
+        return { feature: filled, dist: 0 };
+    }
     return { feature: null, dist: Infinity };
 }
 
-function handleSelectClick(e) {
-    if (state.mode === "select") return; // Handled by canvas beginDrawing
+function isVertexEditable(feature) {
+    return !!feature && ["draw", "line", "polygon", "zone", "measure"].includes(feature.type) && (feature.points || []).length >= 2;
+}
 
-    // This is now mostly fallback logic if selection fails or for specific map-layer items
-    const { offsetX, offsetY } = e.originalEvent || {};
-    if (offsetX === undefined) return;
-    const result = findFeatureAt(offsetX, offsetY);
-    if (result.feature) {
-        state.selectedFeatureId = result.feature.id;
-        notifySelection(result.feature);
-    } else {
-        state.selectedFeatureId = null;
-        notifySelection(null);
-    }
-    redraw();
+// Deleting takes one of snap.vertexDeleteKeys (Alt, Ctrl or Meta by default), but never the snap disable key,
+// which has to stay free for dragging a vertex without snapping.
+function isVertexDeleteClick(e) {
+    const snap = state.snap;
+    return snap.vertexDeleteKeys.some((key) => key !== snap.disableKey && isModifierHeld(e, key));
 }
 
-function notifySelection(feature) {
-    if (selectionListener) {
-        try {
-            selectionListener.invokeMethodAsync("OnFeatureSelected", feature);
-        } catch (err) {
-            console.warn("Failed to notify selection", err);
+// Vertex mode: drag a handle to move it, drag a midpoint to insert one, modifier-click a handle to delete it.
+function beginVertexEdit(e) {
+    const { offsetX, offsetY } = e;
+    const selected = state.features.find((f) => f.id === state.selectedFeatureId);
+    if (isVertexEditable(selected)) {
+        const pts = selected.points.map(projectPoint);
+        const hit = Geometry.hitTestVertices(offsetX, offsetY, pts, { midpoints: selected.type !== "line" });
+        if (hit && hit.type === "vertex" && isVertexDeleteClick(e)) {
+            state.selectedVertex = hit.index;
+            deleteSelectedVertex();
+            return;
+        }
+        if (hit) {
+            let index = hit.index;
+            if (hit.type === "midpoint") {
+                recordModify([selected]);
+                const lngLat = state.map.unproject([offsetX, offsetY]);
+                selected.points = Geometry.insertVertex(selected.points, hit.index, { lng: lngLat.lng, lat: lngLat.lat });
+                index = hit.index + 1;
+            }
+            state.selectedVertex = index;
+            state.vertexEdit = { feature: selected, index, recorded: hit.type === "midpoint" };
+            state.drawing = true;
+            state.lastPoint = { x: offsetX, y: offsetY };
+            redraw();
+            return;
         }
     }
+
+    const { feature } = findFeatureAt(offsetX, offsetY);
+    const editable = isVertexEditable(feature) ? feature : null;
+    state.selectedFeatureId = editable ? editable.id : null;
+    state.selectedVertex = null;
+    notifySelection(editable);
+    redraw();
 }
 
-export async function init(mapElement, canvasElement, buildingCanvas = null) {
-    const maplibre = await ensureMapLibre();
-    loadAssets();
+function updateVertexDrag(e) {
+    const edit = state.vertexEdit;
+    if (!edit.recorded) {
+        recordModify([edit.feature]);
+        edit.recorded = true;
+    }
+    const pos = snapPosition(e, edit.feature);
+    const lngLat = state.map.unproject([pos.x, pos.y]);
+    edit.feature.points = Geometry.moveVertex(edit.feature.points, edit.index, { lng: lngLat.lng, lat: lngLat.lat });
+    redraw();
+}
 
-    // Reset state for new map session (fixes SPA persistence issue)
-    state.features = [];
-    state.featureStore = { "global": [] };
-    state.activeGroupId = null;
-    state.selectedFeatureId = null;
-    state.buildingFeatures = [];
-    state.history = { past: [], future: [] };
+function endVertexDrag() {
+    if (state.vertexEdit) {
+        updateZoneAssociations(state.features);
+    }
+    state.vertexEdit = null;
+    state.snapIndicator = null;
+    state.drawing = false;
+    state.lastPoint = null;
+    redraw();
+}
 
-    const style = {
-        version: 8,
-        sources: {
-            "osm-tiles": {
-                type: "raster",
-                tiles: ["https://tile.openstreetmap.org/{z}/{x}/{y}.png"],
-                tileSize: 256,
-                attribution: "© OpenStreetMap contributors"
-            }
-        },
-        layers: [
-            {
-                id: "osm-tiles",
-                type: "raster",
-                source: "osm-tiles",
-                minzoom: 0,
-                maxzoom: 19
-            }
-        ]
-    };
+function drawMeasurement(points, closed) {
+    const path = closed && Geometry.isClosedRing(points) ? points.slice(0, -1) : points;
+    Renderer.drawMeasurement(state.ctx, path.map(projectPoint), Geometry.measure(path, closed));
+}
 
-    const container = mapElement;
-    const canvas = canvasElement;
-    if (!container || !canvas) {
-        return;
+// Measure mode: each click adds a point, dragging adds the release point too. Double-click finishes,
+// clicking the first point again closes the shape and reports its area.
+function handleMeasureDown(e) {
+    const pos = snapPosition(e);
+    const lngLat = state.map.unproject([pos.x, pos.y]);
+    const pt = { lng: lngLat.lng, lat: lngLat.lat };
+    let m = state.measurement;
+    if (!m || m.done) {
+        m = state.measurement = { points: [pt], closed: false, done: false };
+    } else {
+        const first = projectPoint(m.points[0]);
+        if (m.points.length >= 3 && Math.hypot(first.x - pos.x, first.y - pos.y) <= 10) {
+            m.closed = true;
+            finishMeasurement();
+            return;
+        }
+        if (e.detail >= 2) {
+            finishMeasurement();
+            return;
+        }
+        m.points.push(pt);
+    }
+    state.measureDrag = { x: e.offsetX, y: e.offsetY };
+    redraw();
+}
+
+function endMeasureDrag(e) {
+    const drag = state.measureDrag;
+    state.measureDrag = null;
+    const m = state.measurement;
+    if (!drag || !m || m.done || !e) return;
+    if (Math.hypot(e.offsetX - drag.x, e.offsetY - drag.y) > 5) {
+        const pos = snapPosition(e);
+        const lngLat = state.map.unproject([pos.x, pos.y]);
+        m.points.push({ lng: lngLat.lng, lat: lngLat.lat });
+        redraw();
+    }
+}
+
+function finishMeasurement() {
+    const m = state.measurement;
+    if (!m || m.done) return;
+    m.done = true;
+    state.measureHover = null;
+    state.snapIndicator = null;
+    if (m.points.length < (m.closed ? 3 : 2)) {
+        state.measurement = null;
+        redraw();
+        return;
+    }
+    if (m.closed) m.points = closeRing(m.points);
+    if (state.keepMeasurements) {
+        const feature = {
+            type: "measure",
+            color: "#0f172a",
+            width: 2,
+            points: m.points.map((p) => ({ lng: p.lng, lat: p.lat })),
+            id: crypto.randomUUID(),
+            zIndex: getNextZIndex(),
+            groupId: state.activeGroupId
+        };
+        state.features.push(feature);
+        recordAdd([feature]);
+        state.measurement = null;
+    }
+    redraw();
+}
+
+export function setMeasureOptions(options = {}) {
+    if (typeof options.keep === "boolean") state.keepMeasurements = options.keep;
+}
+
+// Length in meters of the current (or last) measurement, plus area in m² when it was closed.
+export function getMeasurement() {
+    const m = state.measurement;
+    if (!m || !m.points.length) return null;
+    const stats = Geometry.measure(m.points, m.closed);
+    return { length: stats.length, area: stats.area, segments: stats.segments, closed: m.closed, done: m.done };
+}
+
+export function clearMeasurement() {
+    state.measurement = null;
+    state.measureHover = null;
+    state.measureDrag = null;
+    redraw();
+}
+
+function isSnapMode() {
+    return !["select", "pan", "erase", "building", "vertex"].includes(state.mode);
+}
+
+// Screen-space snap targets: building outline edges and corners, feature vertices and segment midpoints, icon centers.
+function collectSnapTargets(exclude) {
+    const cached = state.snapTargets;
+    if (cached && cached.exclude === exclude) return cached.targets;
+    const points = [];
+    const segments = [];
+    const addPath = (pts, closed) => {
+        const count = closed && Geometry.isClosedRing(pts) ? pts.length - 1 : pts.length;
+        for (let i = 0; i < count; i++) points.push({ ...pts[i], kind: "vertex" });
+        for (let i = 0; i < pts.length - 1; i++) {
+            segments.push([pts[i], pts[i + 1]]);
+            points.push({ x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2, kind: "midpoint" });
+        }
+    };
+
+    (state.buildingFeatures || []).forEach((ring) => {
+        if (ring.length < 3) return;
+        addPath(closeRing(ring.map((p) => ({ lng: p.lng, lat: p.lat }))).map(projectPoint), true);
+    });
+    state.features.forEach((f) => {
+        if (f === exclude || !f.points?.length || !isFeatureVisible(f)) return;
+        if (f.type === "circle" || f.type === "point" || f.type === "note" || AssetManager.get(f.type)) {
+            points.push({ ...projectPoint(f.points[0]), kind: "center" });
+        } else if (f.type === "rectangle") {
+            const ring = featureToRing(f);
+            if (ring) addPath(ring.map(projectPoint), true);
+        } else {
+            addPath(f.points.map(projectPoint), true);
+        }
+    });
+    state.snapTargets = { exclude, targets: { points, segments } };
+    return state.snapTargets.targets;
+}
+
+const modifierProps = { Alt: "altKey", Control: "ctrlKey", Meta: "metaKey", Shift: "shiftKey" };
+
+function isModifierHeld(e, key) {
+    return !!modifierProps[key] && !!e[modifierProps[key]];
+}
+
+// Snapped screen position for a pointer event; also updates the on-canvas indicator.
+function snapPosition(e, exclude = null) {
+    const raw = { x: e.offsetX, y: e.offsetY };
+    const snap = state.snap;
+    if (!snap.enabled || isModifierHeld(e, snap.disableKey)) {
+        state.snapIndicator = null;
+        return raw;
+    }
+    const hit = Geometry.findSnap(raw, collectSnapTargets(exclude), snap.tolerance);
+    state.snapIndicator = hit;
+    return hit || raw;
+}
+
+// Hover feedback between clicks: snap marker and the rubber-band edge of a polygon draft.
+function updateSnapPreview(e) {
+    const before = state.snapIndicator;
+    if (isPolygonMode() && state.draft) {
+        const pos = constrainedPosition(e, constraintAnchor());
+        const lngLat = state.map.unproject([pos.x, pos.y]);
+        state.polygonHover = { lng: lngLat.lng, lat: lngLat.lat };
+        redraw();
+        return;
+    }
+    if (!isSnapMode()) {
+        state.snapIndicator = null;
+    } else {
+        const pos = snapPosition(e);
+        if (state.mode === "measure" && state.measurement && !state.measurement.done) {
+            const lngLat = state.map.unproject([pos.x, pos.y]);
+            state.measureHover = { lng: lngLat.lng, lat: lngLat.lat };
+            redraw();
+            return;
+        }
+    }
+    if (before !== state.snapIndicator) redraw();
+}
+
+function isConstrainedMode() {
+    return ["line", "rectangle", "polygon", "zone"].includes(state.mode);
+}
+
+// Point the current segment starts from: the last clicked polygon vertex or the first point of a line or rectangle.
+function constraintAnchor() {
+    const pts = state.draft?.points;
+    if (!pts || !pts.length) return null;
+    return isPolygonMode() ? pts[pts.length - 1] : pts[0];
+}
+
+function buildingAngle() {
+    return state.primaryBuilding ? Geometry.orientation(state.primaryBuilding) : 0;
+}
+
+// Grid and angle constraints work in meters around the selected building, or around where the grid was first used.
+function gridFrame() {
+    const ring = state.primaryBuilding;
+    if (ring && ring.length) return Geometry.createLocalFrame(centroidOf([{ points: ring }]));
+    if (!state.grid.origin) state.grid.origin = state.map.getCenter();
+    return Geometry.createLocalFrame(state.grid.origin);
+}
+
+// Pointer position for the line, rectangle, polygon and zone tools. Object snapping wins; otherwise Shift locks
+// the segment from `anchor` to the angle step (rectangles, which stay north-aligned, to squares) and the grid
+// rounds what is left.
+function constrainedPosition(e, anchor = null) {
+    const pos = snapPosition(e);
+    if (state.snapIndicator || !state.map) return pos;
+    const grid = state.grid;
+    const frame = gridFrame();
+    const p = frame.toLocal(state.map.unproject([pos.x, pos.y]));
+    let q;
+    if (e.shiftKey && anchor) {
+        const square = state.mode === "rectangle";
+        q = Geometry.constrainAngle(
+            frame.toLocal(anchor),
+            p,
+            square ? 45 : buildingAngle(),
+            square ? 90 : state.angleStep,
+            grid.enabled && !square ? grid.size : 0
+        );
+    } else if (grid.enabled) {
+        q = Geometry.snapToGrid(p, grid.size, buildingAngle());
+    } else {
+        return pos;
+    }
+    return projectPoint(frame.toLngLat(q));
+}
+
+function drawGrid() {
+    const grid = state.grid;
+    if (!grid.enabled || !grid.visible) return;
+    const frame = gridFrame();
+    const w = state.canvas.width;
+    const h = state.canvas.height;
+    const corners = [[0, 0], [w, 0], [w, h], [0, h]].map(([x, y]) => frame.toLocal(state.map.unproject([x, y])));
+    const lines = Geometry.gridLines(corners, grid.size, buildingAngle());
+    Renderer.drawGrid(state.ctx, lines.map(([a, b]) => [projectPoint(frame.toLngLat(a)), projectPoint(frame.toLngLat(b))]));
+}
+
+export function setGrid(options = {}) {
+    const grid = state.grid;
+    if (typeof options.enabled === "boolean") grid.enabled = options.enabled;
+    if (Number.isFinite(options.sizeMeters) && options.sizeMeters > 0) grid.size = options.sizeMeters;
+    if (typeof options.visible === "boolean") grid.visible = options.visible;
+    redraw();
+}
+
+export function setAngleStep(degrees) {
+    if (Number.isFinite(degrees) && degrees > 0 && degrees <= 90) state.angleStep = degrees;
+}
+
+export function setSnapping(options = {}) {
+    const snap = state.snap;
+    if (typeof options.enabled === "boolean") snap.enabled = options.enabled;
+    if (Number.isFinite(options.tolerance)) snap.tolerance = Math.max(1, options.tolerance);
+    if (typeof options.disableKey === "string") snap.disableKey = options.disableKey;
+    if (Array.isArray(options.vertexDeleteKeys)) snap.vertexDeleteKeys = options.vertexDeleteKeys.filter((key) => modifierProps[key]);
+    if (!snap.enabled) state.snapIndicator = null;
+    redraw();
+}
+
+// Drops vertices of a lng/lat path that lie within `options.tolerance` of the simplified line, measured in
+// screen pixels at the current view ("px") or in meters ("m"), then optionally rounds it off with Chaikin smoothing.
+function simplifyPoints(points, options) {
+    if (!points || points.length < 3) return points;
+    const inMeters = options.unit === "m";
+    if (!inMeters && !state.map) return points;
+    const closed = Geometry.isClosedRing(points);
+    const frame = Geometry.createLocalFrame(points[0]);
+    const xy = points.map(inMeters ? frame.toLocal : projectPoint);
+    let result = Geometry.simplifyIndices(xy, options.tolerance).map((i) => points[i]);
+    if (result.length < (closed ? 4 : 2)) return points;
+    if (result.length === points.length && !(options.smoothing > 0)) return points;
+    if (options.smoothing > 0) {
+        result = Geometry.smooth(result.map(frame.toLocal), options.smoothing).map(frame.toLngLat);
+    }
+    return result.map((p) => ({ lng: p.lng, lat: p.lat }));
+}
+
+function isSimplifiable(feature) {
+    return ["draw", "polygon", "zone"].includes(feature.type) && feature.points && feature.points.length > 2;
+}
+
+export function setSimplifyOptions(options = {}) {
+    const simplify = state.simplify;
+    if (typeof options.enabled === "boolean") simplify.enabled = options.enabled;
+    if (Number.isFinite(options.tolerance)) simplify.tolerance = Math.max(0, options.tolerance);
+    if (options.unit === "px" || options.unit === "m") simplify.unit = options.unit;
+    if (Number.isFinite(options.smoothing)) simplify.smoothing = Math.min(Math.max(Math.round(options.smoothing), 0), 4);
+}
+
+// Simplifies the selected freehand lines and polygons, or every one in the active group when nothing is selected.
+// Options default to the freehand settings; returns the vertex counts before and after.
+export function simplifyFeatures(options = {}) {
+    const settings = { ...state.simplify, ...options };
+    const selection = getSelectedFeatures();
+    const targets = (selection.length ? selection : state.features).filter(isSimplifiable);
+    const result = { features: 0, before: 0, after: 0 };
+    const changes = [];
+    targets.forEach((feature) => {
+        const points = simplifyPoints(feature.points, settings);
+        result.before += feature.points.length;
+        result.after += points.length;
+        if (points !== feature.points) changes.push({ feature, points });
+    });
+    recordModify(changes.map((c) => c.feature));
+    changes.forEach((c) => {
+        c.feature.points = c.points;
+    });
+    result.features = changes.length;
+    if (changes.length) {
+        updateZoneAssociations(state.features);
+        redraw();
+    }
+    return result;
+}
+
+function handleKeyDown(e) {
+    if (state.mode !== "vertex" || state.selectedVertex === null) return;
+    if (e.key !== "Delete" && e.key !== "Backspace") return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))) return;
+    e.preventDefault();
+    deleteSelectedVertex();
+}
+
+function isFilledShape(feature) {
+    return (feature.type === "polygon" && feature.fill !== false || feature.type === "zone") &&
+        (feature.points || []).length >= 3;
+}
+
+function handleSelectClick(e) {
+    if (state.mode === "select") return; // Handled by canvas beginDrawing
+
+    // This is now mostly fallback logic if selection fails or for specific map-layer items
+    const { offsetX, offsetY } = e.originalEvent || {};
+    if (offsetX === undefined) return;
+    const result = findFeatureAt(offsetX, offsetY);
+    if (result.feature) {
+        state.selectedFeatureId = result.feature.id;
+        notifySelection(result.feature);
+    } else {
+        state.selectedFeatureId = null;
+        notifySelection(null);
+    }
+    redraw();
+}
+
+function notifyStatusChange(feature) {
+    if (selectionListener) {
+        try {
+            selectionListener.invokeMethodAsync("OnFeatureStatusChanged", feature.id, feature.status);
+        } catch (err) {
+            console.warn("Failed to notify status change", err);
+        }
+    }
+}
+
+function notifySelection(feature) {
+    if (selectionListener) {
+        try {
+            selectionListener.invokeMethodAsync("OnFeatureSelected", feature);
+        } catch (err) {
+            console.warn("Failed to notify selection", err);
+        }
+    }
+}
+
+export async function init(mapElement, canvasElement, buildingCanvas = null) {
+    const maplibre = await ensureMapLibre();
+    loadAssets();
+
+    // Reset state for new map session (fixes SPA persistence issue)
+    state.features = [];
+    state.featureStore = { "global": [] };
+    state.stationCounters = {};
+    state.numbering = {};
+    state.activeGroupId = null;
+    state.selectedFeatureId = null;
+    state.buildingFeatures = [];
+    state.primaryBuilding = null;
+    state.proposals = [];
+    state.history = {};
+
+    const style = {
+        version: 8,
+        sources: {
+            "osm-tiles": {
+                type: "raster",
+                tiles: ["https://tile.openstreetmap.org/{z}/{x}/{y}.png"],
+                tileSize: 256,
+                attribution: "© OpenStreetMap contributors"
+            }
+        },
+        layers: [
+            {
+                id: "osm-tiles",
+                type: "raster",
+                source: "osm-tiles",
+                minzoom: 0,
+                maxzoom: 19
+            }
+        ]
+    };
+
+    const container = mapElement;
+    const canvas = canvasElement;
+    if (!container || !canvas) {
+        return;
     }
 
     ensureCanvasSize(container, canvas);
@@ -990,11 +1809,15 @@ export async function init(mapElement, canvasElement, buildingCanvas = null) {
     canvas.addEventListener("pointerup", endDrawing);
     canvas.addEventListener("pointerleave", endDrawing);
     canvas.addEventListener("dblclick", (e) => {
-        if (state.mode === "polygon") {
+        if (isPolygonMode()) {
             e.preventDefault();
             finalizePolygonDraft();
+        } else if (state.mode === "measure") {
+            e.preventDefault();
+            finishMeasurement();
         }
     });
+    window.addEventListener("keydown", handleKeyDown);
 
     state.map = new maplibre.Map({
         container,
@@ -1030,11 +1853,6 @@ export async function init(mapElement, canvasElement, buildingCanvas = null) {
     ensureCanvasSize(container, canvas);
     if (buildingCanvas) ensureBuildingCanvasSize(container, buildingCanvas);
 
-    ensureHistory();
-    if (!state.history.past.length && !state.features.length) {
-        pushHistory();
-    }
-
     setPointerMode();
     state.map.on("move", redraw);
     state.map.on("zoom", redraw);
@@ -1067,15 +1885,20 @@ export async function init(mapElement, canvasElement, buildingCanvas = null) {
     resizeObserver.observe(container);
 }
 
+function isPolygonMode() {
+    return state.mode === "polygon" || state.mode === "zone";
+}
+
 function handlePolygonClick(e) {
     if (!state.map || !state.ctx) return;
-    const { offsetX, offsetY, detail } = e;
-    const lngLat = state.map.unproject([offsetX, offsetY]);
+    const { detail } = e;
+    const pos = constrainedPosition(e, state.draft?.type === state.mode ? constraintAnchor() : null);
+    const lngLat = state.map.unproject([pos.x, pos.y]);
     const pt = { lng: lngLat.lng, lat: lngLat.lat };
 
-    if (!state.draft || state.draft.type !== "polygon") {
+    if (!state.draft || state.draft.type !== state.mode) {
         state.draft = {
-            type: "polygon",
+            type: state.mode,
             color: state.strokeColor,
             width: state.strokeWidth,
             points: [pt],
@@ -1096,20 +1919,27 @@ function handlePolygonClick(e) {
 }
 
 function finalizePolygonDraft() {
-    if (!state.draft || state.draft.type !== "polygon" || !state.draft.points || state.draft.points.length < 3) {
+    if (!state.draft || (state.draft.type !== "polygon" && state.draft.type !== "zone") ||
+        !state.draft.points || state.draft.points.length < 3) {
         return;
     }
     const closed = closeRing([...state.draft.points]);
-    pushHistory();
-    state.features.push({
-        type: "polygon",
+    const feature = {
+        type: state.draft.type,
         color: state.draft.color,
         width: state.draft.width,
         points: closed,
         id: state.draft.id || crypto.randomUUID(),
         zIndex: typeof state.draft.zIndex === "number" ? state.draft.zIndex : getNextZIndex(),
         groupId: state.draft.groupId
-    });
+    };
+    if (feature.type === "zone") {
+        Object.assign(feature, Zones.normalize(state.zoneDefaults));
+        feature.color = Zones.colors[feature.category];
+    }
+    state.features.push(feature);
+    recordAdd([feature]);
+    updateZoneAssociations(state.features);
     state.draft = null;
     state.polygonHover = null;
     redraw();
@@ -1117,7 +1947,7 @@ function finalizePolygonDraft() {
 
 export function clearCanvas() {
     if (!state.canvas || !state.ctx) return;
-    pushHistory();
+    recordRemove(state.features);
 
     if (state.activeGroupId) {
         // Only clear features belonging to the active group (current partition)
@@ -1156,6 +1986,7 @@ export function setActiveGroupId(id) {
 
     // 4. Reset selection
     state.selectedFeatureId = null;
+    state.proposals = [];
 
     // 5. Redraw (state.features is now purely the isolated set)
     redraw();
@@ -1163,11 +1994,19 @@ export function setActiveGroupId(id) {
 
 export function setMode(mode) {
     state.mode = mode;
-    if (mode !== "select" && state.selectedFeatureId) {
+    state.snapIndicator = null;
+    state.measurement = null;
+    state.measureHover = null;
+    state.measureDrag = null;
+    state.selectedVertex = null;
+    state.vertexEdit = null;
+    const keepSelection = mode === "select" ||
+        (mode === "vertex" && isVertexEditable(state.features.find((f) => f.id === state.selectedFeatureId)));
+    if (!keepSelection && state.selectedFeatureId) {
         state.selectedFeatureId = null;
         notifySelection(null);
-        redraw();
     }
+    redraw();
     setPointerMode();
 }
 
@@ -1192,17 +2031,37 @@ export function exportFeatures() {
     // 2. Flatten all partitions
     let allFeatures = [];
     for (const key in state.featureStore) {
+        updateZoneAssociations(state.featureStore[key]);
         allFeatures = allFeatures.concat(state.featureStore[key]);
     }
 
     return allFeatures;
 }
 
-export function importFeatures(features) {
+// Per group key, the next number of each station type. Saved next to exportFeatures and handed back to
+// importFeatures so numbers freed by deletes are not given out again.
+export function exportStationCounters() {
+    const counters = {};
+    Object.keys(state.stationCounters).forEach((key) => { counters[key] = { ...state.stationCounters[key] }; });
+    return counters;
+}
+
+// Per group key, the numbering overrides set with setNumberingScheme.
+export function exportNumberingSchemes() {
+    const schemes = {};
+    Object.keys(state.numbering).forEach((key) => { schemes[key] = Stations.normalizeScheme(state.numbering[key]); });
+    return schemes;
+}
+
+// `stationCounters` and `numbering` are the exportStationCounters and exportNumberingSchemes results, if saved.
+export function importFeatures(features, stationCounters = null, numbering = null) {
     if (!Array.isArray(features)) return;
 
-    // 1. Reset Store
+    // 1. Reset Store; earlier history refers to features that are gone
     state.featureStore = { "global": [] };
+    state.history = {};
+    state.numbering = {};
+    Object.keys(numbering || {}).forEach((key) => { state.numbering[key] = Stations.normalizeScheme(numbering[key]); });
 
     // 2. Distribute features
     features.forEach(f => {
@@ -1210,10 +2069,35 @@ export function importFeatures(features) {
         if (!state.featureStore[gid]) {
             state.featureStore[gid] = [];
         }
+        if (Array.isArray(f.inspections)) {
+            f.inspections = f.inspections.map((i) => Stations.normalizeInspection(i));
+        } else if (Stations.isStation(f.type)) {
+            f.inspections = [];
+        }
+        if (AssetManager.get(f.type) && !f.status) {
+            f.status = "active";
+        }
+        if ((f.type === "polygon" || f.type === "zone") && Array.isArray(f.points) && f.points.length >= 3) {
+            f.points = closeRing(f.points.map((p) => ({ lng: p.lng, lat: p.lat })));
+        }
         state.featureStore[gid].push(f);
     });
 
-    // 3. Load into current view
+    // 3. Number stations that arrived without one, continuing from the saved counters
+    state.stationCounters = {};
+    Object.keys(stationCounters || {}).forEach((key) => { state.stationCounters[key] = Stations.normalizeCounters(stationCounters[key]); });
+    for (const key in state.featureStore) {
+        const group = state.featureStore[key];
+        updateZoneAssociations(group);
+        Stations.seedCounters(getStationCounters(key), group);
+        group.forEach((f) => {
+            if (Stations.isStation(f.type) && !Number.isFinite(f.number)) {
+                Stations.assignNumber(f, group, getStationCounters(key), getNumberingScheme(key));
+            }
+        });
+    }
+
+    // 4. Load into current view
     const currentGroup = state.activeGroupId || "global";
     state.features = state.featureStore[currentGroup] || [];
 
@@ -1222,6 +2106,489 @@ export function importFeatures(features) {
 
 
 
+// GeoJSON: icons, notes and points become Points, freehand strokes and lines LineStrings, and every area shape
+// a Polygon. Everything but the geometry goes into properties; rectangles and circles also record `shape` so
+// they come back as the same two-point features.
+function featureToGeoJson(feature) {
+    const { points = [], id, ...properties } = feature;
+    const coords = (pts) => pts.map((p) => [p.lng, p.lat]);
+    let geometry = null;
+    if (isPointBasedFeature(feature) && points.length) {
+        geometry = { type: "Point", coordinates: [points[0].lng, points[0].lat] };
+    } else if (feature.type === "rectangle" || feature.type === "circle") {
+        const ring = featureToRing(feature);
+        if (ring) geometry = { type: "Polygon", coordinates: [coords(ring)] };
+        properties.shape = feature.type;
+    } else if (["polygon", "zone", "measure"].includes(feature.type) && points.length >= 4 && Geometry.isClosedRing(points)) {
+        geometry = { type: "Polygon", coordinates: [coords(points)] };
+    } else if (points.length >= 2) {
+        geometry = { type: "LineString", coordinates: coords(points) };
+    }
+    if (!geometry) return null;
+    Object.keys(properties).forEach((key) => properties[key] === undefined && delete properties[key]);
+    return { type: "Feature", id, geometry, properties };
+}
+
+function geoJsonToFeatures(data) {
+    const features = [];
+    const usedIds = new Set();
+    const isPosition = (c) => Array.isArray(c) && c.length >= 2;
+    const isLine = (c) => Array.isArray(c) && c.every(isPosition);
+    const toPoint = ([lng, lat]) => ({ lng: Number(lng), lat: Number(lat) });
+    const valid = (p) => Number.isFinite(p.lng) && Number.isFinite(p.lat);
+    // Malformed coordinates drop just that geometry. Parts of Multi* geometries and collections share
+    // the properties of their feature, so they get fresh ids (`part`) rather than all claiming its id.
+    const add = (geometry, props, id, part = false) => {
+        if (!geometry || typeof geometry !== "object") return;
+        const c = geometry.coordinates;
+        const parts = Array.isArray(c) ? c : [];
+        switch (geometry.type) {
+            case "Point":
+                return isPosition(c) && addFeature("Point", [toPoint(c)], props, id, part);
+            case "LineString":
+                return isLine(c) && addFeature("LineString", c.map(toPoint), props, id, part);
+            case "Polygon":
+                // Holes have no counterpart on the map; only the outer ring is kept
+                return Array.isArray(c) && isLine(c[0]) && addFeature("Polygon", c[0].map(toPoint), props, id, part);
+            case "MultiPoint":
+            case "MultiLineString":
+            case "MultiPolygon":
+                return parts.forEach((coordinates) => add({ type: geometry.type.slice(5), coordinates }, props, null, true));
+            case "GeometryCollection":
+                return (Array.isArray(geometry.geometries) ? geometry.geometries : [])
+                    .forEach((g) => add(g, props, null, true));
+        }
+    };
+    const addFeature = (kind, points, props, id, part) => {
+        if (!points.length || !points.every(valid)) return;
+        const { shape, stroke, fill: fillColor, "stroke-width": strokeWidth, ...rest } = props;
+        let featureId = part ? null : id ?? rest.id;
+        if (featureId === null || featureId === undefined || usedIds.has(featureId)) featureId = crypto.randomUUID();
+        usedIds.add(featureId);
+        const feature = {
+            ...rest,
+            color: rest.color || stroke || state.strokeColor,
+            width: Number(rest.width ?? strokeWidth) || state.strokeWidth,
+            id: featureId,
+            groupId: rest.groupId ?? null
+        };
+        if (fillColor && !feature.fillColor && typeof fillColor === "string") feature.fillColor = fillColor;
+        if (kind === "Point") {
+            const known = feature.type === "point" || feature.type === "note" || AssetManager.get(feature.type);
+            feature.type = known ? feature.type : (feature.text ? "note" : "point");
+            feature.points = points;
+        } else if (kind === "LineString") {
+            if (points.length < 2) return;
+            if (!["draw", "line", "measure"].includes(feature.type)) feature.type = points.length === 2 ? "line" : "draw";
+            feature.points = feature.type === "line" ? [points[0], points[points.length - 1]] : points;
+        } else {
+            const ring = closeRing(points.map((p) => ({ ...p })));
+            if (ring.length < 4) return;
+            if ((shape === "rectangle" || shape === "circle") && feature.type === shape) {
+                feature.points = shape === "rectangle" ? [ring[0], ring[2]] : [centroidOf([{ points: ring.slice(0, -1) }]), ring[0]];
+            } else {
+                if (!["polygon", "zone", "measure"].includes(feature.type)) feature.type = "polygon";
+                feature.points = ring;
+            }
+        }
+        if (feature.type === "zone") Object.assign(feature, Zones.normalize(feature));
+        features.push(feature);
+    };
+
+    const visit = (item) => {
+        if (!item || typeof item !== "object") return;
+        if (item.type === "FeatureCollection") (Array.isArray(item.features) ? item.features : []).forEach(visit);
+        else if (item.type === "Feature") add(item.geometry, item.properties && typeof item.properties === "object" ? item.properties : {}, item.id);
+        else add(item, {});
+    };
+    visit(data);
+    features.forEach((f, i) => {
+        if (typeof f.zIndex !== "number") f.zIndex = i;
+    });
+    return features;
+}
+
+// FeatureCollection of every group, in longitude/latitude (WGS 84).
+export function exportGeoJson() {
+    return {
+        type: "FeatureCollection",
+        features: exportFeatures().map(featureToGeoJson).filter(Boolean)
+    };
+}
+
+export function downloadGeoJson(filename) {
+    try {
+        Files.download(filename || "map.geojson", JSON.stringify(exportGeoJson()), "application/geo+json");
+    } catch (err) {
+        console.warn("downloadGeoJson failed", err);
+    }
+}
+
+// Accepts a FeatureCollection, Feature or bare geometry (object or JSON text). Replaces every group like
+// importFeatures unless `append` is set, in which case the features join the active group as one undo step.
+export function importGeoJson(data, options = {}) {
+    let parsed = data;
+    if (typeof data === "string") {
+        try {
+            parsed = JSON.parse(data);
+        } catch (err) {
+            console.warn("importGeoJson: invalid JSON", err);
+            return 0;
+        }
+    }
+    let features;
+    try {
+        features = geoJsonToFeatures(parsed);
+    } catch (err) {
+        console.warn("importGeoJson: unreadable GeoJSON", err);
+        return 0;
+    }
+    if (!options.append) {
+        importFeatures(features);
+        return features.length;
+    }
+    if (!features.length) return 0;
+    const existing = new Set(allFeatures().map((f) => f.id));
+    let z = getNextZIndex();
+    features.forEach((f) => {
+        if (existing.has(f.id)) f.id = crypto.randomUUID();
+        f.groupId = state.activeGroupId;
+        f.zIndex = z++;
+        if (AssetManager.get(f.type) && !f.status) f.status = "active";
+        if (Stations.isStation(f.type)) {
+            f.inspections = Array.isArray(f.inspections) ? f.inspections.map((i) => Stations.normalizeInspection(i)) : [];
+            if (!Number.isFinite(f.number)) Stations.assignNumber(f, state.features, getStationCounters(), getNumberingScheme());
+        }
+        state.features.push(f);
+    });
+    recordAdd(features);
+    updateZoneAssociations(state.features);
+    redraw();
+    return features.length;
+}
+
+// KML for Google Earth. Area fills get the same faint wash the canvas draws them with.
+// KML wants aabbggrr. `opacity` scales the colour's own alpha; unreadable colours are reported and drawn black.
+function kmlColor(color, opacity = 1) {
+    let rgba = Renderer.parseColor(color);
+    if (!rgba) {
+        console.warn("exportKml: unsupported colour", color);
+        rgba = [0, 0, 0, 1];
+    }
+    const [r, g, b, a] = rgba;
+    const hex = (v) => Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, "0");
+    return `${hex(a * opacity * 255)}${hex(b)}${hex(g)}${hex(r)}`;
+}
+
+function escapeXml(value) {
+    return String(value ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+}
+
+function kmlCoordinates(points) {
+    return points.map((p) => `${p.lng},${p.lat},0`).join(" ");
+}
+
+function kmlIconHref(type, embedded) {
+    if (embedded?.has(type)) return `files/${type}.png`;
+    return AssetManager.get(type)?.src || `icons/${type}.svg`;
+}
+
+function featureToPlacemark(feature, embedded) {
+    const pts = feature.points || [];
+    if (!pts.length) return null;
+    const color = feature.color || state.strokeColor;
+    const width = feature.width || state.strokeWidth;
+    const extended = ["id", "type", "groupId", "status", "number", "product", "category", "riskLevel"]
+        .filter((key) => feature[key] !== undefined && feature[key] !== null && feature[key] !== "")
+        .map((key) => `<Data name="${key}"><value>${escapeXml(feature[key])}</value></Data>`)
+        .join("");
+    let name = "";
+    let style = "";
+    let geometry = "";
+
+    if (AssetManager.get(feature.type)) {
+        name = stationLabel(feature) || feature.type;
+        const heading = feature.rotation ? `<heading>${feature.rotation}</heading>` : "";
+        const faded = feature.status === "missing" || feature.status === "removed" ? "<color>66ffffff</color>" : "";
+        style = `<styleUrl>#icon-${feature.type}</styleUrl>`;
+        if (heading || faded) {
+            style += `<Style><IconStyle>${faded}${heading}<Icon><href>${escapeXml(kmlIconHref(feature.type, embedded))}</href></Icon></IconStyle></Style>`;
+        }
+        geometry = `<Point><coordinates>${kmlCoordinates([pts[0]])}</coordinates></Point>`;
+    } else if (feature.type === "note") {
+        // Notes are bare labels: the pin is hidden and the text carries the colour
+        name = feature.text || "";
+        style = `<Style><IconStyle><scale>0</scale></IconStyle><LabelStyle><color>${kmlColor(color)}</color></LabelStyle></Style>`;
+        geometry = `<Point><coordinates>${kmlCoordinates([pts[0]])}</coordinates></Point>`;
+    } else if (feature.type === "point") {
+        style = `<Style><IconStyle><color>${kmlColor(color)}</color></IconStyle></Style>`;
+        geometry = `<Point><coordinates>${kmlCoordinates([pts[0]])}</coordinates></Point>`;
+    } else {
+        const closed = ["polygon", "zone", "measure"].includes(feature.type) && pts.length >= 4 && Geometry.isClosedRing(pts);
+        const ring = feature.type === "rectangle" || feature.type === "circle" ? featureToRing(feature) : (closed ? pts : null);
+        if (ring) {
+            const zone = feature.type === "zone";
+            const lineColor = zone ? feature.color || Zones.colors[feature.category] || "#64748b" : color;
+            const lineWidth = zone ? { low: 1.5, medium: 2.5, high: 4 }[feature.riskLevel] || 2 : width;
+            const filled = zone || feature.type === "circle" || (feature.type === "polygon" && feature.fill !== false);
+            const fill = filled
+                ? `<PolyStyle><color>${feature.fillColor && !zone ? kmlColor(feature.fillColor) : kmlColor(lineColor, 0.13)}</color></PolyStyle>`
+                : "<PolyStyle><fill>0</fill></PolyStyle>";
+            name = zone ? feature.name || "" : "";
+            style = `<Style><LineStyle><color>${kmlColor(lineColor)}</color><width>${lineWidth}</width></LineStyle>${fill}</Style>`;
+            geometry = `<Polygon><tessellate>1</tessellate><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring)}</coordinates></LinearRing></outerBoundaryIs></Polygon>`;
+        } else if (pts.length >= 2) {
+            style = `<Style><LineStyle><color>${kmlColor(color)}</color><width>${width}</width></LineStyle></Style>`;
+            geometry = `<LineString><tessellate>1</tessellate><coordinates>${kmlCoordinates(pts)}</coordinates></LineString>`;
+        }
+    }
+    if (!geometry) return null;
+    return `<Placemark><name>${escapeXml(name)}</name>${style}<ExtendedData>${extended}</ExtendedData>${geometry}</Placemark>`;
+}
+
+function iconTypesOf(features) {
+    return [...new Set(features.map((f) => f.type))].filter((type) => AssetManager.get(type));
+}
+
+// `embedded` is the set of icon types packed into a KMZ as files/<type>.png; the rest link the app's SVGs.
+function buildKml(options, embedded) {
+    const names = options.folderNames || {};
+    const all = exportFeatures();
+    const groups = new Map();
+    sortByZIndex(all).forEach((f) => {
+        const key = f.groupId || "global";
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(f);
+    });
+    const styles = iconTypesOf(all).map((type) =>
+        `<Style id="icon-${type}"><IconStyle><scale>1</scale><Icon><href>${escapeXml(kmlIconHref(type, embedded))}</href></Icon></IconStyle><LabelStyle><scale>0.8</scale></LabelStyle></Style>`
+    );
+    const folders = [...groups].map(([key, features]) => {
+        const placemarks = features.map((f) => featureToPlacemark(f, embedded)).filter(Boolean);
+        const name = names[key] || (key === "global" ? "Map" : key);
+        return `<Folder><name>${escapeXml(name)}</name>\n${placemarks.join("\n")}\n</Folder>`;
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        `<Document><name>${escapeXml(options.name || "Map")}</name>`,
+        ...styles,
+        ...folders,
+        "</Document>",
+        "</kml>"
+    ].join("\n");
+}
+
+// One Folder per group ("global" becomes "Map"); `folderNames` maps building IDs to display names.
+export function exportKml(options = {}) {
+    return buildKml(options, null);
+}
+
+export function downloadKml(filename, options = {}) {
+    try {
+        Files.download(filename || "map.kml", exportKml(options), "application/vnd.google-earth.kml+xml");
+    } catch (err) {
+        console.warn("downloadKml failed", err);
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP writer (stored, no compression), enough for a KMZ. `files` is [{ name, data: Uint8Array }].
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    const header = (size, signature) => {
+        const view = new DataView(new ArrayBuffer(size));
+        view.setUint32(0, signature, true);
+        return view;
+    };
+    let offset = 0;
+    files.forEach(({ name, data }) => {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+        const local = header(30, 0x04034b50);
+        local.setUint16(4, 20, true);
+        local.setUint16(12, 0x21, true); // 1980-01-01
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        parts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = header(46, 0x02014b50);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+    const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/vnd.google-earth.kmz" });
+}
+
+// Google Earth does not draw SVG, so the loaded icons are rasterised to PNG for the archive.
+function rasterizeIcon(type, size = 64) {
+    const img = AssetManager.get(type);
+    if (!img || !img.complete || !img.naturalWidth) return Promise.resolve(null);
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    canvas.getContext("2d").drawImage(img, 0, 0, size, size);
+    return new Promise((resolve) => canvas.toBlob(resolve, "image/png"))
+        .then((blob) => blob ? blob.arrayBuffer() : null)
+        .then((buffer) => buffer ? new Uint8Array(buffer) : null)
+        .catch(() => null);
+}
+
+// KMZ: doc.kml plus the icons under files/. Icons that cannot be rasterised keep their SVG href.
+export async function exportKmz(options = {}) {
+    await AssetManager.loadAll();
+    const icons = [];
+    const embedded = new Set();
+    for (const type of iconTypesOf(exportFeatures())) {
+        const data = await rasterizeIcon(type);
+        if (!data) continue;
+        icons.push({ name: `files/${type}.png`, data });
+        embedded.add(type);
+    }
+    const kml = buildKml(options, embedded);
+    return buildZip([{ name: "doc.kml", data: new TextEncoder().encode(kml) }, ...icons]);
+}
+
+export async function downloadKmz(filename, options = {}) {
+    try {
+        Files.download(filename || "map.kmz", await exportKmz(options));
+    } catch (err) {
+        console.warn("downloadKmz failed", err);
+    }
+}
+
+function waitForMapIdle(map, timeoutMs) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            console.warn("exportMapPng: tiles still loading, exporting what has arrived");
+            resolve();
+        }, timeoutMs);
+        map.once("idle", () => {
+            clearTimeout(timer);
+            resolve();
+        });
+    });
+}
+
+// Runs redraw against `map` into fresh feature and building layers, the same two canvases the screen stacks.
+function renderExportLayers(map, width, height, scale) {
+    const layers = [document.createElement("canvas"), document.createElement("canvas")];
+    layers.forEach((layer) => {
+        layer.width = Math.round(width * scale);
+        layer.height = Math.round(height * scale);
+        layer.getContext("2d").scale(scale, scale);
+    });
+    const saved = { map: state.map, canvas: state.canvas, ctx: state.ctx, buildingCanvas: state.buildingCanvas, buildingCtx: state.buildingCtx };
+    Object.assign(state, {
+        map,
+        canvas: layers[0],
+        ctx: layers[0].getContext("2d"),
+        buildingCanvas: layers[1],
+        buildingCtx: layers[1].getContext("2d"),
+        exporting: true
+    });
+    try {
+        redraw();
+    } finally {
+        Object.assign(state, saved, { exporting: false });
+    }
+    return layers;
+}
+
+// PNG of the base map with the active group's features. `bounds` ({ west, south, east, north }) defaults to
+// the current view and `width`/`height` (CSS pixels) to the canvas size; `dpi` sets the pixel density.
+// `legend`, `scaleBar` and `northArrow` add the map furniture. Resolves to a Blob, or null without a map.
+export async function exportMapPng(options = {}) {
+    if (!state.map || !state.canvas) return null;
+    const maplibre = await ensureMapLibre();
+    const width = Math.round(options.width || state.canvas.width);
+    const height = Math.round(options.height || state.canvas.height);
+    const scale = Renderer.exportScale(width, height, options.dpi);
+    const view = state.map.getBounds();
+    const b = options.bounds || { west: view.getWest(), south: view.getSouth(), east: view.getEast(), north: view.getNorth() };
+
+    // An offscreen map at the export size renders the tiles for exactly this extent and density
+    const container = document.createElement("div");
+    Object.assign(container.style, { position: "fixed", left: "-100000px", top: "0", width: `${width}px`, height: `${height}px` });
+    document.body.appendChild(container);
+    const map = new maplibre.Map({
+        container,
+        style: state.map.getStyle(),
+        bounds: [[b.west, b.south], [b.east, b.north]],
+        interactive: false,
+        attributionControl: false,
+        fadeDuration: 0,
+        pixelRatio: scale,
+        preserveDrawingBuffer: true
+    });
+    try {
+        await waitForMapIdle(map, options.timeout || 20000);
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const ctx = canvas.getContext("2d");
+        ctx.drawImage(map.getCanvas(), 0, 0, canvas.width, canvas.height);
+        renderExportLayers(map, width, height, scale).forEach((layer) => ctx.drawImage(layer, 0, 0));
+
+        ctx.scale(scale, scale);
+        const a = map.unproject([width / 2 - 50, height / 2]);
+        const c = map.unproject([width / 2 + 50, height / 2]);
+        Renderer.drawMapFurniture(ctx, width, height, {
+            legend: options.legend ? Renderer.buildLegend(state.features.filter(isFeatureVisible)) : null,
+            metersPerPixel: options.scaleBar ? Geometry.distanceMeters(a, c) / 100 : null,
+            northArrow: options.northArrow ? -map.getBearing() : null
+        });
+        ctx.font = "10px sans-serif";
+        ctx.textAlign = "right";
+        ctx.textBaseline = "bottom";
+        ctx.fillStyle = "rgba(15,23,42,0.75)";
+        ctx.fillText("© OpenStreetMap contributors", width - 4, height - 3);
+
+        return await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    } finally {
+        map.remove();
+        document.body.removeChild(container);
+    }
+}
+
+export async function downloadMapPng(filename, options = {}) {
+    try {
+        const blob = await exportMapPng(options);
+        if (blob) Files.download(filename || "map.png", blob);
+    } catch (err) {
+        console.warn("downloadMapPng failed", err);
+    }
+}
+
 export function getView() {
     if (!state.map) return null;
     const center = state.map.getCenter();
@@ -1244,30 +2611,143 @@ export function setView(view) {
 
 export function downloadJson(filename, content) {
     try {
-        const blob = new Blob([content], { type: "application/json" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = filename || "map.json";
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        Files.download(filename || "map.json", content, "application/json");
     } catch (err) {
         console.warn("downloadJson failed", err);
     }
 }
 
+export function downloadCsv(filename, content) {
+    try {
+        Files.download(filename || "export.csv", content, "text/csv;charset=utf-8");
+    } catch (err) {
+        console.warn("downloadCsv failed", err);
+    }
+}
+
 export function deleteSelected() {
-    if (!state.selectedFeatureId) return;
-    const idx = state.features.findIndex((f) => f.id === state.selectedFeatureId);
-    if (idx >= 0) {
-        pushHistory();
-        state.features.splice(idx, 1);
-        state.selectedFeatureId = null;
-        normalizeZFromOrder();
-        redraw();
+    const selection = getSelectedFeatures();
+    if (!selection.length) return;
+    recordRemove(selection);
+    state.features = state.features.filter((f) => !selection.includes(f));
+    state.selectedFeatureId = null;
+    state.selectedIds = [];
+    normalizeZFromOrder();
+    notifySelection(null);
+    redraw();
+}
+
+function centroidOf(features) {
+    const pts = features.flatMap((f) => f.points || []);
+    if (!pts.length) return null;
+    return {
+        lng: pts.reduce((sum, p) => sum + p.lng, 0) / pts.length,
+        lat: pts.reduce((sum, p) => sum + p.lat, 0) / pts.length
+    };
+}
+
+// Adds copies of `features` to the active group shifted by the lng/lat delta and selects them.
+// Stations get fresh numbers and an empty inspection log.
+function pasteFeatures(features, dLng, dLat) {
+    if (!features.length) return [];
+    let z = getNextZIndex();
+    const pasted = features.map((f) => {
+        const copy = cloneFeature(f);
+        copy.id = crypto.randomUUID();
+        copy.zIndex = z++;
+        copy.groupId = state.activeGroupId;
+        copy.points = copy.points.map((p) => ({ lng: p.lng + dLng, lat: p.lat + dLat }));
+        delete copy.number;
+        delete copy.statusChangedAt;
+        delete copy.zoneId;
+        initIconFeature(copy);
+        state.features.push(copy);
+        return copy;
+    });
+    recordAdd(pasted);
+    updateZoneAssociations(state.features);
+    state.selectedIds = pasted.map((f) => f.id);
+    state.selectedFeatureId = state.selectedIds[state.selectedIds.length - 1];
+    notifySelection(pasted[pasted.length - 1]);
+    redraw();
+    return state.selectedIds.slice();
+}
+
+export function copySelection() {
+    const selection = getSelectedFeatures();
+    if (!selection.length) return 0;
+    state.clipboard = { features: selection.map(cloneFeature), anchor: centroidOf(selection) };
+    return selection.length;
+}
+
+export function cutSelection() {
+    const count = copySelection();
+    if (count) deleteSelected();
+    return count;
+}
+
+// Pastes into the active group, at the copied location or centered on the last pointer position.
+export function pasteClipboard(atCursor = false) {
+    const clip = state.clipboard;
+    if (!clip || !clip.features.length) return [];
+    let dLng = 0;
+    let dLat = 0;
+    if (atCursor && state.lastPointer && state.map && clip.anchor) {
+        const target = state.map.unproject([state.lastPointer.x, state.lastPointer.y]);
+        dLng = target.lng - clip.anchor.lng;
+        dLat = target.lat - clip.anchor.lat;
     }
+    return pasteFeatures(clip.features, dLng, dLat);
+}
+
+export function duplicateSelection() {
+    const selection = getSelectedFeatures();
+    if (!selection.length || !state.map) return [];
+    // Offset the copies a little so they don't hide the originals
+    const a = state.map.unproject([0, 0]);
+    const b = state.map.unproject([16, 16]);
+    return pasteFeatures(selection, b.lng - a.lng, b.lat - a.lat);
+}
+
+export function getSelectedIds() {
+    return getSelectedFeatures().map((f) => f.id);
+}
+
+export function selectFeatures(ids) {
+    const wanted = Array.isArray(ids) ? ids : [];
+    state.selectedIds = state.features.filter((f) => wanted.includes(f.id) && isFeatureVisible(f)).map((f) => f.id);
+    state.selectedFeatureId = state.selectedIds.length ? state.selectedIds[state.selectedIds.length - 1] : null;
+    notifySelection(state.selectedFeatureId ? findFeatureById(state.selectedFeatureId) : null);
+    redraw();
+}
+
+export function setSelectionTool(tool) {
+    state.selectionTool = tool === "lasso" ? "lasso" : "box";
+}
+
+// Applies colour and/or width to the whole selection as one undo step.
+export function setSelectionStyle(color, width) {
+    const selection = getSelectedFeatures();
+    if (!selection.length || (!color && !width)) return;
+    recordModify(selection, `style:${selection.map((f) => f.id).join(",")}`);
+    selection.forEach((f) => {
+        if (color) f.color = color;
+        if (width) f.width = width;
+    });
+    redraw();
+}
+
+export function deleteSelectedVertex() {
+    const feature = state.features.find((f) => f.id === state.selectedFeatureId);
+    if (!isVertexEditable(feature) || state.selectedVertex === null) return false;
+    const points = Geometry.removeVertex(feature.points, state.selectedVertex);
+    if (!points) return false;
+    recordModify([feature]);
+    feature.points = points;
+    state.selectedVertex = null;
+    updateZoneAssociations(state.features);
+    redraw();
+    return true;
 }
 
 export function bringToFront() {
@@ -1298,7 +2778,7 @@ function shiftSelected(delta) {
     if (idx < 0) return;
     const target = idx + delta;
     if (target < 0 || target >= state.features.length) return;
-    pushHistory();
+    recordReorder();
     const [item] = state.features.splice(idx, 1);
     state.features.splice(target, 0, item);
     normalizeZFromOrder();
@@ -1314,32 +2794,368 @@ export function redo() {
 }
 
 function undoInternal() {
-    ensureHistory();
-    if (!state.history.past.length) return state.selectedFeatureId;
-    const current = snapshotState();
-    const prev = state.history.past.pop();
-    state.history.future.push(current);
-    applySnapshot(prev);
+    const history = getHistory();
+    stepHistory(history.past, history.future);
     return state.selectedFeatureId;
 }
 
 function redoInternal() {
-    ensureHistory();
-    if (!state.history.future.length) return state.selectedFeatureId;
-    const current = snapshotState();
-    const next = state.history.future.pop();
-    state.history.past.push(current);
-    applySnapshot(next);
+    const history = getHistory();
+    stepHistory(history.future, history.past);
     return state.selectedFeatureId;
 }
 
+function findFeatureById(id) {
+    const active = state.features.find((f) => f.id === id);
+    if (active) return active;
+    const activeKey = state.activeGroupId || "global";
+    for (const key in state.featureStore) {
+        if (key === activeKey) continue;
+        const found = state.featureStore[key].find((f) => f.id === id);
+        if (found) return found;
+    }
+    return null;
+}
+
+export function addInspection(featureId, visit) {
+    const feature = findFeatureById(featureId);
+    if (!feature || !Stations.isStation(feature.type)) return null;
+    recordModify([feature]);
+    if (!Array.isArray(feature.inspections)) feature.inspections = [];
+    const inspection = Stations.normalizeInspection(visit);
+    feature.inspections.push(inspection);
+    if (state.selectedFeatureId === featureId) notifySelection(feature);
+    return inspection;
+}
+
+export function updateInspection(featureId, inspectionId, changes) {
+    const feature = findFeatureById(featureId);
+    if (!feature || !Array.isArray(feature.inspections)) return null;
+    const idx = feature.inspections.findIndex((i) => i.id === inspectionId);
+    if (idx < 0) return null;
+    recordModify([feature]);
+    const updated = Stations.normalizeInspection({ ...changes, id: inspectionId }, feature.inspections[idx]);
+    feature.inspections[idx] = updated;
+    if (state.selectedFeatureId === featureId) notifySelection(feature);
+    return updated;
+}
+
+export function removeInspection(featureId, inspectionId) {
+    const feature = findFeatureById(featureId);
+    if (!feature || !Array.isArray(feature.inspections)) return false;
+    const idx = feature.inspections.findIndex((i) => i.id === inspectionId);
+    if (idx < 0) return false;
+    recordModify([feature]);
+    feature.inspections.splice(idx, 1);
+    if (state.selectedFeatureId === featureId) notifySelection(feature);
+    return true;
+}
+
+export function getInspections(featureId, filter = {}) {
+    const feature = findFeatureById(featureId);
+    if (!feature) return [];
+    return Stations.filterInspections(feature.inspections, filter || {});
+}
+
+// Numbering of one station type in a building; defaults to the active group.
+export function setNumberingScheme(type, prefix, start, pad, groupKey = state.activeGroupId || "global") {
+    if (!Stations.setNumbering(getNumberingScheme(groupKey), type, prefix, start, pad)) return false;
+    redraw();
+    return true;
+}
+
+export function getStationLabel(featureId) {
+    const feature = findFeatureById(featureId);
+    return feature ? stationLabel(feature) : null;
+}
+
+export function setStationStatus(featureId, status) {
+    if (!Stations.statuses.includes(status)) return false;
+    const feature = findFeatureById(featureId);
+    if (!feature || !AssetManager.get(feature.type)) return false;
+    if ((feature.status || "active") === status) return true;
+    recordModify([feature]);
+    feature.status = status;
+    feature.statusChangedAt = new Date().toISOString();
+    notifyStatusChange(feature);
+    if (state.selectedFeatureId === featureId && !isFeatureVisible(feature)) {
+        state.selectedFeatureId = null;
+        notifySelection(null);
+    }
+    redraw();
+    return true;
+}
+
+export function setStatusFilter(statuses) {
+    state.statusFilter = Array.isArray(statuses) ? statuses.filter((s) => Stations.statuses.includes(s)) : null;
+    const selected = state.features.find((f) => f.id === state.selectedFeatureId);
+    if (selected && !isFeatureVisible(selected)) {
+        state.selectedFeatureId = null;
+        notifySelection(null);
+    }
+    redraw();
+}
+
+function findProposalAt(x, y) {
+    const threshold = 16;
+    let best = null;
+    let bestDist = Infinity;
+    state.proposals.forEach((p) => {
+        const pt = projectPoint(p.point);
+        const d = Math.hypot(pt.x - x, pt.y - y);
+        if (d < bestDist) {
+            bestDist = d;
+            best = p;
+        }
+    });
+    return bestDist <= threshold ? best : null;
+}
+
+// Proposes exterior stations every `spacingMeters` around a building ring (defaults to the selected building).
+export function suggestPlacements(type = "bait", spacingMeters = 10, offsetMeters = 1, side = "outward", doorClearanceMeters = 1.5, ring = null) {
+    state.proposals = [];
+    const outline = Array.isArray(ring) && ring.length >= 3 ? ring : state.primaryBuilding;
+    if (!AssetManager.get(type) || !outline || outline.length < 3) {
+        redraw();
+        return [];
+    }
+    const center = {
+        lng: outline.reduce((sum, p) => sum + p.lng, 0) / outline.length,
+        lat: outline.reduce((sum, p) => sum + p.lat, 0) / outline.length
+    };
+    const frame = Geometry.createLocalFrame(center);
+    const local = closeRing(outline.map((p) => ({ lng: p.lng, lat: p.lat }))).map(frame.toLocal);
+    const offset = Math.abs(Number(offsetMeters) || 0) * (side === "inward" ? 1 : -1);
+    const doors = state.features.filter((f) => f.type === "door" && f.points?.length).map((f) => frame.toLocal(f.points[0]));
+
+    state.proposals = Geometry.samplePerimeter(local, Number(spacingMeters), offset)
+        .filter((p) => !doors.some((d) => Math.hypot(d.x - p.x, d.y - p.y) < doorClearanceMeters))
+        .map((p) => ({ id: crypto.randomUUID(), type, point: frame.toLngLat(p) }));
+    redraw();
+    return getProposals();
+}
+
+export function getProposals() {
+    return state.proposals.map((p) => ({ id: p.id, type: p.type, lng: p.point.lng, lat: p.point.lat }));
+}
+
+export function acceptProposal(id) {
+    const idx = state.proposals.findIndex((p) => p.id === id);
+    if (idx < 0) return null;
+    const [proposal] = state.proposals.splice(idx, 1);
+    const feature = createIconFeature(proposal.type, proposal.point);
+    state.features.push(feature);
+    recordAdd([feature]);
+    redraw();
+    return feature.id;
+}
+
+export function acceptAllProposals() {
+    if (!state.proposals.length) return [];
+    const created = state.proposals.map((p) => {
+        const feature = createIconFeature(p.type, p.point);
+        state.features.push(feature);
+        return feature;
+    });
+    recordAdd(created);
+    const ids = created.map((f) => f.id);
+    state.proposals = [];
+    redraw();
+    return ids;
+}
+
+export function discardProposal(id) {
+    state.proposals = state.proposals.filter((p) => p.id !== id);
+    redraw();
+}
+
+export function discardProposals() {
+    state.proposals = [];
+    redraw();
+}
+
+export function setHeatmap(options) {
+    if (!options || options.enabled === false) {
+        state.heatmap = null;
+    } else {
+        state.heatmap = {
+            radiusMeters: Math.max(0.5, Number(options.radiusMeters) || 15),
+            ramp: Array.isArray(options.ramp) ? options.ramp : null,
+            from: options.from || null,
+            to: options.to || null,
+            opacity: typeof options.opacity === "number" ? Math.max(0, Math.min(1, options.opacity)) : 0.6,
+            clipToBuildings: !!options.clipToBuildings
+        };
+    }
+    redraw();
+}
+
+function isZoneFeature(feature) {
+    return feature.type === "zone" && !!featureToRing(feature);
+}
+
+function buildComplianceScene(features, frame, outline) {
+    const points = [];
+    const zones = [];
+    features.forEach((f) => {
+        if (!f?.points?.length) return;
+        if (isZoneFeature(f)) {
+            zones.push({ id: f.id, name: f.name, category: f.category, ring: featureToRing(f).map(frame.toLocal) });
+            return;
+        }
+        if (!AssetManager.get(f.type) && f.type !== "point") return;
+        if (f.status === "removed" || f.status === "missing") return;
+        const p = frame.toLocal(f.points[0]);
+        points.push({ id: f.id, type: f.type, x: p.x, y: p.y, label: stationLabel(f) });
+    });
+    return { features: points, zones, outline };
+}
+
+// Stores on every icon feature the id of the innermost zone that contains it.
+function updateZoneAssociations(features) {
+    const zones = features
+        .filter((f) => f.type === "zone")
+        .map((f) => ({ id: f.id, ring: featureToRing(f) }))
+        .filter((z) => z.ring);
+    features.forEach((f) => {
+        if (!AssetManager.get(f.type) || !f.points?.length) return;
+        const zone = Zones.findContaining(f.points[0], zones);
+        f.zoneId = zone ? zone.id : null;
+    });
+}
+
+function allFeatures() {
+    state.featureStore[state.activeGroupId || "global"] = state.features;
+    return Object.values(state.featureStore).flat();
+}
+
+export function setZoneDefaults(props) {
+    state.zoneDefaults = Zones.normalize(props, state.zoneDefaults);
+}
+
+export function updateZone(zoneId, props) {
+    const zone = findFeatureById(zoneId);
+    if (!zone || zone.type !== "zone") return false;
+    recordModify([zone]);
+    Object.assign(zone, Zones.normalize(props, zone));
+    if (props && props.color) zone.color = props.color;
+    else if (props && props.category) zone.color = Zones.colors[zone.category];
+    redraw();
+    return true;
+}
+
+export function getZones() {
+    const features = allFeatures();
+    Object.values(state.featureStore).forEach(updateZoneAssociations);
+    return features
+        .filter((f) => f.type === "zone")
+        .map((z) => ({
+            id: z.id,
+            name: z.name,
+            category: z.category,
+            riskLevel: z.riskLevel,
+            pattern: z.pattern,
+            groupId: z.groupId,
+            stationIds: features.filter((f) => f.zoneId === z.id && Stations.isStation(f.type)).map((f) => f.id)
+        }));
+}
+
+export function getStationsInZone(zoneId) {
+    const zone = getZones().find((z) => z.id === zoneId);
+    return zone ? zone.stationIds : [];
+}
+
+export function getStationZone(featureId) {
+    const feature = findFeatureById(featureId);
+    if (!feature) return null;
+    const zones = getZones(); // refreshes feature.zoneId
+    return zones.find((z) => z.id === feature.zoneId) || null;
+}
+
+export function loadComplianceRules(json) {
+    return Compliance.load(json);
+}
+
+// Evaluates the loaded rules for every group in the feature store.
+export function evaluateCompliance() {
+    const activeKey = state.activeGroupId || "global";
+    state.featureStore[activeKey] = state.features;
+    const violations = [];
+    for (const key in state.featureStore) {
+        const features = state.featureStore[key];
+        const origin = features.find((f) => f.points?.length)?.points[0];
+        if (!origin) continue;
+        const frame = Geometry.createLocalFrame(origin);
+        const ring = key === activeKey && key !== "global" && state.primaryBuilding
+            ? closeRing(state.primaryBuilding.map((p) => ({ lng: p.lng, lat: p.lat }))).map(frame.toLocal)
+            : null;
+        Compliance.evaluate(buildComplianceScene(features, frame, ring)).forEach((v) => {
+            violations.push({ ...v, groupId: key });
+        });
+    }
+    state.violations = violations;
+    redraw();
+    return violations;
+}
+
+export function clearComplianceHighlights() {
+    state.violations = [];
+    redraw();
+}
+
+export function renumberStations(type = null) {
+    const stations = state.features.filter((f) => Stations.isStation(f.type));
+    if (!stations.length) return;
+    recordModify(stations);
+    const order = Geometry.orderByNearestNeighbour(stations.map((f) => projectPoint(f.points[0])));
+    const counters = Stations.renumber(order.map((i) => stations[i]), type ? [type] : null, getNumberingScheme());
+    Object.assign(getStationCounters(), counters);
+    redraw();
+}
+
 export function rotateSelectedFeature(angle) {
     if (!state.selectedFeatureId) return;
     const feature = state.features.find(f => f.id === state.selectedFeatureId);
     if (feature) {
+        recordModify([feature], `rotate:${feature.id}`);
         feature.rotation = angle;
         redraw();
     }
 }
 
+export function setStationProduct(featureId, product) {
+    const feature = findFeatureById(featureId);
+    if (!feature || !Stations.isStation(feature.type)) return false;
+    recordModify([feature]);
+    feature.product = product ? String(product) : undefined;
+    return true;
+}
+
+// Station counts for every group in the feature store; map-level features have no floor.
+export function getInventory(options = {}) {
+    allFeatures();
+    const items = [];
+    Object.keys(state.featureStore).forEach((key) => {
+        const features = state.featureStore[key] || [];
+        updateZoneAssociations(features);
+        const zoneNames = new Map(features.filter(isZoneFeature).map((z) => [z.id, z.name || ""]));
+        features.forEach((f) => {
+            items.push({
+                building: key,
+                floor: "",
+                zoneId: zoneNames.has(f.zoneId) ? f.zoneId : null,
+                zone: zoneNames.get(f.zoneId) || "",
+                type: f.type,
+                product: f.product,
+                status: f.status
+            });
+        });
+    });
+    return Inventory.summarize(items, options);
+}
 
+export function exportInventoryCsv(filename, options = {}) {
+    const csv = Inventory.toCsv(getInventory(options));
+    if (filename) downloadCsv(filename, csv);
+    return csv;
+}
@@ -1,6 +1,8 @@
 
 // renderCore.js - Shared Rendering Logic
 
+const EARTH_RADIUS_M = 6371008.8;
+
 export const AssetManager = {
     assets: {
         trap: new Image(),
@@ -38,24 +40,93 @@ export const AssetManager = {
 };
 
 export const Renderer = {
-    drawIcon(ctx, type, x, y, width, rotation = 0) {
+    drawIcon(ctx, type, x, y, width, rotation = 0, options = {}) {
         const img = AssetManager.get(type);
-        if (img && img.complete) {
-            const scale = Math.max(width / 4, 0.8) * 1.5;
-            const w = 24 * scale;
-            const h = 24 * scale;
+        const scale = Math.max(width / 4, 0.8) * 1.5;
+        let w = 24 * scale;
+        let h = 24 * scale;
+        const status = options.status || "active";
+        const greyed = status === "missing" || status === "removed";
 
-            ctx.save();
+        ctx.save();
+        if (greyed) {
+            ctx.globalAlpha = 0.4;
+            ctx.filter = "grayscale(1)";
+        } else if (options.ghost) {
+            ctx.globalAlpha = 0.45;
+        }
+        if (img && img.complete) {
             ctx.translate(x, y);
             if (rotation) ctx.rotate(rotation * Math.PI / 180);
             ctx.drawImage(img, -w / 2, -h / 2, w, h);
-            ctx.restore();
         } else {
+            w = h = 10;
             ctx.fillStyle = "#ef4444";
             ctx.beginPath();
             ctx.arc(x, y, 5, 0, Math.PI * 2);
             ctx.fill();
         }
+        ctx.restore();
+
+        if (options.ghost) {
+            ctx.save();
+            ctx.strokeStyle = "rgba(37,99,235,0.9)";
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(w, h) / 2 + 2, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        } else if (status === "removed") {
+            // Strike-through
+            ctx.save();
+            ctx.strokeStyle = "#dc2626";
+            ctx.lineWidth = 2.5;
+            ctx.lineCap = "round";
+            ctx.beginPath();
+            ctx.moveTo(x - w / 2, y + h / 2);
+            ctx.lineTo(x + w / 2, y - h / 2);
+            ctx.stroke();
+            ctx.restore();
+        } else if (status === "damaged" || status === "missing") {
+            // Warning ring (dashed when missing)
+            ctx.save();
+            ctx.strokeStyle = status === "damaged" ? "#f59e0b" : "#64748b";
+            ctx.lineWidth = 2.5;
+            if (status === "missing") ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.arc(x, y, Math.max(w, h) / 2 + 3, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        if (options.label) {
+            this.drawBadge(ctx, options.label, x + w / 2, y - h / 2);
+        }
+    },
+
+    drawBadge(ctx, text, x, y) {
+        ctx.save();
+        ctx.font = "bold 11px sans-serif";
+        const padX = 4;
+        const h = 16;
+        const w = ctx.measureText(text).width + padX * 2;
+        const left = x - 2;
+        const top = y - h / 2;
+
+        ctx.fillStyle = "rgba(15,23,42,0.85)";
+        ctx.strokeStyle = "white";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.rect(left, top, w, h);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = "white";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        ctx.fillText(text, left + padX, top + h / 2 + 0.5);
+        ctx.restore();
     },
 
     drawNote(ctx, text, x, y, color, width, rotation = 0) {
@@ -140,7 +211,7 @@ export const Renderer = {
         this.strokeGeometryPath(ctx, screenPoints, feature.type);
 
         // FILL if applicable
-        if ((feature.type === "polygon" || feature.type === "rectangle") && screenPoints.length >= 3) {
+        if ((feature.type === "polygon" || feature.type === "rectangle" || feature.type === "zone") && screenPoints.length >= 3) {
             ctx.fillStyle = "rgba(14,165,233,0.08)";
             ctx.fill();
         }
@@ -154,6 +225,44 @@ export const Renderer = {
         }
     },
 
+    // Several selected features: a light outline on each and one set of handles around them all.
+    drawMultiSelection(ctx, items, bounds) {
+        ctx.save();
+        ctx.lineJoin = "round";
+        ctx.lineCap = "round";
+        ctx.strokeStyle = "rgba(14,165,233,0.6)";
+        items.forEach(({ feature, screenPoints }) => {
+            if (!screenPoints || !screenPoints.length) return;
+            ctx.lineWidth = Math.max((feature.width || 2) + 2, 4);
+            this.strokeGeometryPath(ctx, screenPoints, feature.type);
+        });
+        ctx.restore();
+        if (bounds) this.drawTransformHandles(ctx, bounds);
+    },
+
+    // Rubber-band box (first and last point are opposite corners) or freehand lasso.
+    drawMarquee(ctx, points, lasso) {
+        if (!points || points.length < 2) return;
+        ctx.save();
+        ctx.strokeStyle = "rgba(37,99,235,0.9)";
+        ctx.fillStyle = "rgba(37,99,235,0.08)";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        if (lasso) {
+            ctx.moveTo(points[0].x, points[0].y);
+            for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+            ctx.closePath();
+        } else {
+            const a = points[0];
+            const b = points[points.length - 1];
+            ctx.rect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x), Math.abs(b.y - a.y));
+        }
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    },
+
     strokeGeometryPath(ctx, points, type) {
         ctx.beginPath();
         if (type === "circle" && points.length >= 2) {
@@ -167,9 +276,327 @@ export const Renderer = {
         } else {
             ctx.moveTo(points[0].x, points[0].y);
             for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
-            if (type === "polygon" || type === "rectangle") ctx.closePath();
+            if (type === "polygon" || type === "rectangle" || type === "zone") ctx.closePath();
+        }
+        ctx.stroke();
+    },
+
+    // Interpolated heatmap of `samples` ({ x, y, value 0..1 }) in screen space. Each cell blends nearby
+    // samples by inverse distance inside `radius` and fades out towards the edge of their reach. Only cells
+    // on the canvas are computed. A ramp with a colour the canvas can't read falls back to the default one.
+    drawHeatmap(ctx, samples, options = {}) {
+        if (!samples || !samples.length) return;
+        const radius = Math.max(4, options.radius || 60);
+        const cell = options.cellSize || 6;
+        let colors = (options.ramp && options.ramp.length ? options.ramp : this.heatmapRamp).map((c) => this.parseColor(c));
+        if (colors.some((c) => !c)) {
+            console.warn("[renderCore] Unsupported heatmap ramp", options.ramp);
+            colors = this.heatmapRamp.map((c) => this.parseColor(c));
+        }
+        const opacity = options.opacity ?? 0.6;
+        const t = typeof ctx.getTransform === "function" ? ctx.getTransform() : null;
+        const scale = t && Number.isFinite(t.a) ? Math.hypot(t.a, t.b) || 1 : 1;
+        const canvasW = ctx.canvas && Number.isFinite(ctx.canvas.width) ? ctx.canvas.width : null;
+        const canvasH = ctx.canvas && Number.isFinite(ctx.canvas.height) ? ctx.canvas.height : null;
+        const bounds = canvasW && canvasH ? { width: canvasW / scale, height: canvasH / scale } : null;
+        renderHeatmap(ctx, samples, { radius, cell, colors, opacity, clip: options.clip, bounds });
+    },
+
+    heatmapRamp: ["#22c55e", "#eab308", "#f97316", "#dc2626"],
+
+    // Any CSS colour as [r, g, b, a] (a in 0..1), resolved by the canvas itself; null if the canvas rejects it.
+    parseColor(color) {
+        const text = String(color ?? "").trim();
+        let hex = text.replace(/^#/, "");
+        if (/^[0-9a-f]{3,4}$/i.test(hex)) hex = hex.split("").map((c) => c + c).join("");
+        if (/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+            const n = hex.match(/../g).map((h) => parseInt(h, 16));
+            return [n[0], n[1], n[2], n.length > 3 ? n[3] / 255 : 1];
+        }
+        if (!text || typeof document === "undefined") return null;
+        if (!colorProbe) colorProbe = document.createElement("canvas").getContext("2d");
+        // An invalid colour leaves fillStyle untouched, which two different sentinels give away
+        colorProbe.fillStyle = "#000000";
+        colorProbe.fillStyle = text;
+        const first = String(colorProbe.fillStyle);
+        colorProbe.fillStyle = "#ffffff";
+        colorProbe.fillStyle = text;
+        const resolved = String(colorProbe.fillStyle);
+        if (first !== resolved) return null;
+        if (resolved.startsWith("#")) return this.parseColor(resolved);
+        const parts = resolved.match(/[\d.]+/g)?.map(Number);
+        if (!parts || parts.length < 3) return null;
+        return [parts[0], parts[1], parts[2], parts[3] ?? 1];
+    },
+
+    drawZone(ctx, points, zone = {}) {
+        if (!points || points.length < 2) return;
+        const color = zone.color || Zones.colors[zone.category] || "#64748b";
+        const closed = points.length >= 3;
+
+        ctx.save();
+        ctx.lineJoin = "round";
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        if (closed) {
+            ctx.closePath();
+            // Zone colours may be any CSS colour, so the wash is faded with globalAlpha
+            ctx.fillStyle = color;
+            ctx.globalAlpha = 0.13;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            const pattern = getZonePattern(ctx, zone.pattern, color);
+            if (pattern) {
+                ctx.fillStyle = pattern;
+                ctx.fill();
+            }
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = { low: 1.5, medium: 2.5, high: 4 }[zone.riskLevel] || 2;
+        ctx.stroke();
+
+        if (zone.name && closed) {
+            const ring = points.slice(0, points.length - 1);
+            const cx = ring.reduce((sum, p) => sum + p.x, 0) / ring.length;
+            const cy = ring.reduce((sum, p) => sum + p.y, 0) / ring.length;
+            ctx.font = "bold 12px sans-serif";
+            ctx.textAlign = "center";
+            ctx.textBaseline = "middle";
+            ctx.strokeStyle = "white";
+            ctx.lineWidth = 3;
+            ctx.strokeText(zone.name, cx, cy);
+            ctx.fillStyle = color;
+            ctx.fillText(zone.name, cx, cy);
+        }
+        ctx.restore();
+    },
+
+    drawViolation(ctx, x, y) {
+        ctx.save();
+        ctx.strokeStyle = "#dc2626";
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(x, y, 20, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = "#dc2626";
+        ctx.beginPath();
+        ctx.arc(x - 16, y - 16, 7, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = "white";
+        ctx.font = "bold 11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        ctx.fillText("!", x - 16, y - 15.5);
+        ctx.restore();
+    },
+
+    drawViolationArea(ctx, ring) {
+        if (!ring || ring.length < 3) return;
+        ctx.save();
+        ctx.strokeStyle = "#dc2626";
+        ctx.lineWidth = 3;
+        ctx.setLineDash([8, 4]);
+        ctx.beginPath();
+        ctx.moveTo(ring[0].x, ring[0].y);
+        for (let i = 1; i < ring.length; i++) ctx.lineTo(ring[i].x, ring[i].y);
+        ctx.closePath();
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    drawRoute(ctx, points, options = {}) {
+        if (!points || points.length < 2) return;
+        const color = options.color || "#2563eb";
+        const startIndex = options.numberFrom ?? 1;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = "round";
+        ctx.lineCap = "round";
+        ctx.setLineDash([8, 5]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Direction arrows at segment midpoints
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (Math.hypot(b.x - a.x, b.y - a.y) < 24) continue;
+            const angle = Math.atan2(b.y - a.y, b.x - a.x);
+            ctx.save();
+            ctx.translate((a.x + b.x) / 2, (a.y + b.y) / 2);
+            ctx.rotate(angle);
+            ctx.beginPath();
+            ctx.moveTo(7, 0);
+            ctx.lineTo(-5, -6);
+            ctx.lineTo(-5, 6);
+            ctx.closePath();
+            ctx.fill();
+            ctx.restore();
+        }
+
+        // Stop numbers
+        ctx.font = "bold 11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        points.forEach((p, i) => {
+            const text = options.hasStart && i === 0 ? "S" : String(startIndex + i - (options.hasStart ? 1 : 0));
+            const cx = p.x - 14;
+            const cy = p.y + 14;
+            ctx.fillStyle = color;
+            ctx.strokeStyle = "white";
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(cx, cy, 9, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = "white";
+            ctx.fillText(text, cx, cy + 0.5);
+        });
+        ctx.restore();
+    },
+
+    // One square per vertex plus a small circle on every segment midpoint for inserting points.
+    // A closed ring's duplicate last point gets no handle of its own.
+    drawVertexHandles(ctx, points, options = {}) {
+        if (!points || !points.length) return;
+        const handleSize = 8;
+        const closed = Geometry.isClosedRing(points);
+        const count = closed ? points.length - 1 : points.length;
+
+        ctx.save();
+        ctx.lineWidth = 1;
+        if (options.midpoints !== false) {
+            ctx.fillStyle = "rgba(255,255,255,0.9)";
+            ctx.strokeStyle = "rgba(59,130,246,1)";
+            for (let i = 0; i < points.length - 1; i++) {
+                ctx.beginPath();
+                ctx.arc((points[i].x + points[i + 1].x) / 2, (points[i].y + points[i + 1].y) / 2, handleSize / 2 - 1, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+            }
+        }
+        ctx.strokeStyle = "white";
+        for (let i = 0; i < count; i++) {
+            const p = points[i];
+            ctx.fillStyle = i === options.activeIndex ? "#f59e0b" : "rgba(59,130,246,1)";
+            ctx.beginPath();
+            ctx.rect(p.x - handleSize / 2, p.y - handleSize / 2, handleSize, handleSize);
+            ctx.fill();
+            ctx.stroke();
+        }
+        ctx.restore();
+    },
+
+    // Thin guide lines of the drawing grid, given as screen-space [a, b] pairs.
+    drawGrid(ctx, segments, color = "rgba(100,116,139,0.25)") {
+        if (!segments || !segments.length) return;
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        segments.forEach(([a, b]) => {
+            ctx.moveTo(a.x, a.y);
+            ctx.lineTo(b.x, b.y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    },
+
+    // Marker for the point the cursor snapped to; the shape tells what kind of target it is.
+    drawSnapIndicator(ctx, snap) {
+        if (!snap) return;
+        const r = 6;
+        ctx.save();
+        ctx.strokeStyle = "#d946ef";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (snap.kind === "vertex") {
+            ctx.rect(snap.x - r, snap.y - r, r * 2, r * 2);
+        } else if (snap.kind === "midpoint") {
+            ctx.moveTo(snap.x, snap.y - r);
+            ctx.lineTo(snap.x + r, snap.y + r * 0.8);
+            ctx.lineTo(snap.x - r, snap.y + r * 0.8);
+            ctx.closePath();
+        } else if (snap.kind === "center") {
+            ctx.arc(snap.x, snap.y, r, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(snap.x - r, snap.y - r);
+            ctx.lineTo(snap.x + r, snap.y + r);
+            ctx.moveTo(snap.x + r, snap.y - r);
+            ctx.lineTo(snap.x - r, snap.y + r);
         }
         ctx.stroke();
+        ctx.restore();
+    },
+
+    // Dashed measuring path with segment lengths, the running total and, for closed shapes, the area.
+    // `stats` comes from Geometry.measure for the same points.
+    drawMeasurement(ctx, points, stats, options = {}) {
+        if (!points || !points.length || !stats) return;
+        const color = options.color || "#0f172a";
+        const closed = stats.area !== null;
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.lineJoin = "round";
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+        if (closed) {
+            ctx.closePath();
+            ctx.fillStyle = "rgba(15,23,42,0.08)";
+            ctx.fill();
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = "white";
+        points.forEach((p) => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+
+        ctx.font = "11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "middle";
+        if (stats.segments.length > 1) {
+            stats.segments.forEach((d, i) => {
+                const a = points[i];
+                const b = points[(i + 1) % points.length];
+                const text = formatLength(d);
+                const x = (a.x + b.x) / 2;
+                const y = (a.y + b.y) / 2;
+                ctx.lineWidth = 3;
+                ctx.strokeStyle = "white";
+                ctx.strokeText(text, x, y - 8);
+                ctx.fillStyle = color;
+                ctx.fillText(text, x, y - 8);
+            });
+        }
+        ctx.restore();
+
+        let anchor = points[points.length - 1];
+        let text = formatLength(stats.length);
+        if (closed) {
+            anchor = {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+            };
+            text = `${formatArea(stats.area)} · ${text}`;
+        }
+        this.drawBadge(ctx, text, anchor.x + 8, anchor.y + 12);
     },
 
     drawTransformHandles(ctx, bounds) {
@@ -232,10 +659,306 @@ export const Renderer = {
         ctx.stroke();
 
         ctx.restore();
+    },
+
+    // Legend rows for exported images: one per station/icon type present and one per zone category.
+    buildLegend(features) {
+        const icons = new Map();
+        const zones = new Map();
+        (features || []).forEach((f) => {
+            if (AssetManager.get(f.type)) icons.set(f.type, (icons.get(f.type) || 0) + 1);
+            else if (f.type === "zone") zones.set(f.category, f.color || Zones.colors[f.category] || "#64748b");
+        });
+        return [
+            ...[...icons].map(([type, count]) => ({ icon: type, label: `${humanize(type)} (${count})` })),
+            ...[...zones].map(([category, color]) => ({ color, label: `${humanize(category || "zone")} zone` }))
+        ];
+    },
+
+    drawLegend(ctx, entries, x, y) {
+        if (!entries || !entries.length) return;
+        const row = 18;
+        const pad = 8;
+        ctx.save();
+        ctx.font = "12px sans-serif";
+        const w = Math.max(...entries.map((e) => ctx.measureText(e.label).width)) + 20 + pad * 3;
+        const h = entries.length * row + pad * 2;
+        ctx.fillStyle = "rgba(255,255,255,0.9)";
+        ctx.strokeStyle = "rgba(15,23,42,0.35)";
+        ctx.lineWidth = 1;
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeRect(x, y, w, h);
+        ctx.textAlign = "left";
+        ctx.textBaseline = "middle";
+        entries.forEach((entry, i) => {
+            const cy = y + pad + row * i + row / 2;
+            const img = entry.icon ? AssetManager.get(entry.icon) : null;
+            if (img && img.complete) {
+                ctx.drawImage(img, x + pad, cy - 8, 16, 16);
+            } else {
+                ctx.fillStyle = entry.color || "#64748b";
+                ctx.strokeStyle = entry.color || "#64748b";
+                ctx.lineWidth = 2;
+                ctx.globalAlpha = 0.27;
+                ctx.fillRect(x + pad + 1, cy - 6, 14, 12);
+                ctx.globalAlpha = 1;
+                ctx.strokeRect(x + pad + 1, cy - 6, 14, 12);
+            }
+            ctx.fillStyle = "#0f172a";
+            ctx.fillText(entry.label, x + pad * 2 + 20, cy);
+        });
+        ctx.restore();
+    },
+
+    // Two-segment bar with a round length no wider than maxWidth; (x, y) is its bottom-left corner.
+    drawScaleBar(ctx, x, y, metersPerPixel, maxWidth = 120) {
+        if (!(metersPerPixel > 0)) return;
+        const target = metersPerPixel * maxWidth;
+        const magnitude = 10 ** Math.floor(Math.log10(target));
+        const length = [5, 2, 1].map((m) => m * magnitude).find((m) => m <= target);
+        const w = length / metersPerPixel;
+        const label = length >= 1000 ? `${length / 1000} km` : `${length} m`;
+        ctx.save();
+        ctx.fillStyle = "rgba(255,255,255,0.85)";
+        ctx.fillRect(x - 6, y - 28, w + 12, 34);
+        ctx.strokeStyle = "#0f172a";
+        ctx.lineWidth = 1;
+        ctx.fillStyle = "#0f172a";
+        ctx.fillRect(x, y - 6, w / 2, 6);
+        ctx.strokeRect(x, y - 6, w, 6);
+        ctx.font = "11px sans-serif";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "bottom";
+        ctx.fillText("0", x, y - 9);
+        ctx.textAlign = "right";
+        ctx.fillText(label, x + w, y - 9);
+        ctx.restore();
+    },
+
+    // `rotation` is where north points on screen, in degrees clockwise from up.
+    drawNorthArrow(ctx, x, y, size = 36, rotation = 0) {
+        const r = size / 2;
+        ctx.save();
+        ctx.translate(x, y);
+        ctx.fillStyle = "rgba(255,255,255,0.85)";
+        ctx.beginPath();
+        ctx.arc(0, 0, r + 4, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.rotate(rotation * Math.PI / 180);
+        ctx.strokeStyle = "#0f172a";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, -r);
+        ctx.lineTo(r * 0.45, r * 0.6);
+        ctx.lineTo(0, r * 0.3);
+        ctx.closePath();
+        ctx.fillStyle = "#0f172a";
+        ctx.fill();
+        ctx.beginPath();
+        ctx.moveTo(0, -r);
+        ctx.lineTo(-r * 0.45, r * 0.6);
+        ctx.lineTo(0, r * 0.3);
+        ctx.closePath();
+        ctx.fillStyle = "white";
+        ctx.fill();
+        ctx.stroke();
+        ctx.font = "bold 11px sans-serif";
+        ctx.textAlign = "center";
+        ctx.textBaseline = "bottom";
+        ctx.fillStyle = "#0f172a";
+        ctx.fillText("N", 0, -r - 1);
+        ctx.restore();
+    },
+
+    // Image pixels per CSS pixel for an export at `dpi` (96 = screen), capped so the longest side stays
+    // within what browsers reliably allocate for a canvas.
+    exportScale(width, height, dpi = 300) {
+        return Math.min(Math.max(dpi, 24) / 96, 8192 / Math.max(width, height, 1));
+    },
+
+    // Legend, scale bar and north arrow in the corners of a CSS-pixel sized export.
+    drawMapFurniture(ctx, width, height, options = {}) {
+        const margin = 12;
+        if (options.legend) this.drawLegend(ctx, options.legend, margin, margin);
+        if (options.metersPerPixel) this.drawScaleBar(ctx, margin + 6, height - margin, options.metersPerPixel);
+        if (options.northArrow !== undefined && options.northArrow !== null) {
+            this.drawNorthArrow(ctx, width - margin - 22, margin + 30, 36, options.northArrow);
+        }
     }
 };
 
+const patternCache = new Map();
+let colorProbe = null; // 2D context parseColor resolves CSS colours with
+
+function renderHeatmap(ctx, samples, { radius, cell, colors, opacity, clip, bounds }) {
+    // Samples bucketed by `radius`, so a cell only looks at the 3x3 buckets around it
+    const buckets = new Map();
+    samples.forEach((s) => {
+        const k = `${Math.floor(s.x / radius)},${Math.floor(s.y / radius)}`;
+        if (!buckets.has(k)) buckets.set(k, []);
+        buckets.get(k).push(s);
+    });
+    const snap = (v) => Math.floor(v / cell) * cell;
+    let minX = snap(Math.min(...samples.map((s) => s.x)) - radius);
+    let maxX = Math.max(...samples.map((s) => s.x)) + radius;
+    let minY = snap(Math.min(...samples.map((s) => s.y)) - radius);
+    let maxY = Math.max(...samples.map((s) => s.y)) + radius;
+    if (bounds) {
+        minX = Math.max(minX, snap(0));
+        minY = Math.max(minY, snap(0));
+        maxX = Math.min(maxX, bounds.width);
+        maxY = Math.min(maxY, bounds.height);
+    }
+
+    ctx.save();
+    if (clip && clip.length) {
+        ctx.beginPath();
+        clip.forEach((ring) => {
+            if (ring.length < 3) return;
+            ctx.moveTo(ring[0].x, ring[0].y);
+            for (let i = 1; i < ring.length; i++) ctx.lineTo(ring[i].x, ring[i].y);
+            ctx.closePath();
+        });
+        ctx.clip();
+    }
+
+    for (let y = minY; y < maxY; y += cell) {
+        for (let x = minX; x < maxX; x += cell) {
+            const cx = x + cell / 2;
+            const cy = y + cell / 2;
+            const bx = Math.floor(cx / radius);
+            const by = Math.floor(cy / radius);
+            let weightSum = 0;
+            let valueSum = 0;
+            let reach = 0;
+            for (let i = -1; i <= 1; i++) {
+                for (let j = -1; j <= 1; j++) {
+                    const near = buckets.get(`${bx + i},${by + j}`);
+                    if (!near) continue;
+                    near.forEach((s) => {
+                        const d = Math.hypot(s.x - cx, s.y - cy);
+                        if (d >= radius) return;
+                        const w = 1 / Math.max(d, cell) ** 2;
+                        weightSum += w;
+                        valueSum += w * s.value;
+                        reach = Math.max(reach, 1 - d / radius);
+                    });
+                }
+            }
+            if (!weightSum) continue;
+            const [r, g, b] = sampleRamp(colors, valueSum / weightSum);
+            ctx.fillStyle = `rgba(${r},${g},${b},${(opacity * Math.min(1, reach * 1.5)).toFixed(3)})`;
+            ctx.fillRect(x, y, cell, cell);
+        }
+    }
+    ctx.restore();
+}
+
+function getZonePattern(ctx, pattern, color) {
+    if (!pattern || pattern === "solid" || typeof document === "undefined") return null;
+    const key = `${pattern}|${color}`;
+    if (!patternCache.has(key)) {
+        const tile = document.createElement("canvas");
+        tile.width = 10;
+        tile.height = 10;
+        const t = tile.getContext("2d");
+        t.strokeStyle = color;
+        t.fillStyle = color;
+        t.lineWidth = 1;
+        t.globalAlpha = 0.6;
+        if (pattern === "hatch" || pattern === "cross") {
+            t.beginPath();
+            t.moveTo(0, 10);
+            t.lineTo(10, 0);
+            if (pattern === "cross") {
+                t.moveTo(0, 0);
+                t.lineTo(10, 10);
+            }
+            t.stroke();
+        } else if (pattern === "dots") {
+            t.beginPath();
+            t.arc(5, 5, 1.5, 0, Math.PI * 2);
+            t.fill();
+        }
+        patternCache.set(key, tile);
+    }
+    return ctx.createPattern(patternCache.get(key), "repeat");
+}
+
+function sampleRamp(ramp, t) {
+    if (ramp.length === 1) return ramp[0];
+    const pos = Math.max(0, Math.min(1, t)) * (ramp.length - 1);
+    const i = Math.min(ramp.length - 2, Math.floor(pos));
+    const f = pos - i;
+    return ramp[i].map((c, k) => Math.round(c + (ramp[i + 1][k] - c) * f));
+}
+
+function formatLength(meters) {
+    if (meters >= 1000) return `${(meters / 1000).toFixed(2)} km`;
+    return `${meters.toFixed(meters < 10 ? 2 : 1)} m`;
+}
+
+// "insect_trap" -> "Insect trap"
+function humanize(key) {
+    const text = String(key).replace(/_/g, " ");
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatArea(squareMeters) {
+    return `${squareMeters.toFixed(squareMeters < 100 ? 1 : 0)} m²`;
+}
+
 export const Geometry = {
+    // Equirectangular frame in meters around `origin`; accurate enough at building/site scale.
+    createLocalFrame(origin) {
+        const lng0 = origin?.lng ?? 0;
+        const lat0 = origin?.lat ?? 0;
+        const cosLat = Math.max(Math.cos((lat0 * Math.PI) / 180), 0.01);
+        const k = (Math.PI / 180) * EARTH_RADIUS_M;
+        return {
+            cosLat,
+            toLocal: (p) => ({ x: (p.lng - lng0) * cosLat * k, y: (p.lat - lat0) * k }),
+            toLngLat: (p) => ({ lng: lng0 + p.x / (cosLat * k), lat: lat0 + p.y / k })
+        };
+    },
+
+    // Great-circle distance in meters between two lng/lat points.
+    distanceMeters(a, b) {
+        const toRad = Math.PI / 180;
+        const dLat = (b.lat - a.lat) * toRad;
+        const dLng = (b.lng - a.lng) * toRad;
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(a.lat * toRad) * Math.cos(b.lat * toRad) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+    },
+
+    // Area in m² of a closed lng/lat ring on the sphere.
+    areaMeters(ring) {
+        if (!ring || ring.length < 4) return 0;
+        const toRad = Math.PI / 180;
+        let total = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            const a = ring[i];
+            const b = ring[i + 1];
+            total += (b.lng - a.lng) * toRad * (2 + Math.sin(a.lat * toRad) + Math.sin(b.lat * toRad));
+        }
+        return Math.abs(total * EARTH_RADIUS_M * EARTH_RADIUS_M / 2);
+    },
+
+    // Per-segment and total length of a lng/lat path; `closed` adds the closing edge and the enclosed area.
+    measure(points, closed = false) {
+        const path = points.map((p) => ({ lng: p.lng, lat: p.lat }));
+        const isRing = closed && path.length >= 3;
+        if (isRing && !this.isClosedRing(path)) path.push({ ...path[0] });
+        const segments = [];
+        for (let i = 0; i < path.length - 1; i++) segments.push(this.distanceMeters(path[i], path[i + 1]));
+        return {
+            segments,
+            length: segments.reduce((sum, d) => sum + d, 0),
+            area: isRing ? this.areaMeters(path) : null
+        };
+    },
+
     pointToSegmentDistance(px, py, p1, p2) {
         const lx = p2.x - p1.x;
         const ly = p2.y - p1.y;
@@ -324,6 +1047,43 @@ export const Geometry = {
         }
     },
 
+    // Axis-aligned box around the bounds of every `{ feature, screenPoints }` item.
+    getCombinedBounds(ctx, items) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        items.forEach(({ feature, screenPoints }) => {
+            const b = this.getFeatureBounds(ctx, feature, screenPoints);
+            if (!b) return;
+            [b.tl, b.tr, b.br, b.bl].forEach((p) => {
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            });
+        });
+        if (!Number.isFinite(minX)) return null;
+        return {
+            tl: { x: minX, y: minY },
+            tr: { x: maxX, y: minY },
+            br: { x: maxX, y: maxY },
+            bl: { x: minX, y: maxY },
+            center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 },
+            width: maxX - minX,
+            height: maxY - minY,
+            rotation: 0
+        };
+    },
+
+    // True when every screen point of the feature lies inside the marquee box or lasso.
+    isInsideMarquee(screenPoints, marquee, lasso) {
+        if (!screenPoints || !screenPoints.length || !marquee || marquee.length < 2) return false;
+        if (lasso) return screenPoints.every((p) => this.pointInPolygon(p, marquee));
+        const a = marquee[0];
+        const b = marquee[marquee.length - 1];
+        const minX = Math.min(a.x, b.x), maxX = Math.max(a.x, b.x);
+        const minY = Math.min(a.y, b.y), maxY = Math.max(a.y, b.y);
+        return screenPoints.every((p) => p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY);
+    },
+
     hitTestHandles(x, y, bounds) {
         if (!bounds) return null;
         const handleSize = 18;
@@ -356,6 +1116,158 @@ export const Geometry = {
         return null;
     },
 
+    // Principal axis of a lng/lat ring in degrees counterclockwise from east, from the covariance of its
+    // cos(lat)-scaled points.
+    orientation(ring) {
+        if (!ring || ring.length < 2) return 0;
+        const latCenter = ring.reduce((sum, p) => sum + p.lat, 0) / ring.length;
+        const cosLat = Math.max(Math.cos((latCenter * Math.PI) / 180), 0.01);
+        const pts = ring.map((p) => ({ x: p.lng * cosLat, y: p.lat }));
+        const n = pts.length;
+        const meanX = pts.reduce((sum, p) => sum + p.x, 0) / n;
+        const meanY = pts.reduce((sum, p) => sum + p.y, 0) / n;
+        let varX = 0;
+        let varY = 0;
+        let covXY = 0;
+        pts.forEach((p) => {
+            const dx = p.x - meanX;
+            const dy = p.y - meanY;
+            varX += dx * dx;
+            varY += dy * dy;
+            covXY += dx * dy;
+        });
+        const deg = (0.5 * Math.atan2(2 * covXY / n, (varX - varY) / n) * 180) / Math.PI;
+        return isNaN(deg) ? 0 : deg;
+    },
+
+    // Locks the segment a→p to multiples of `stepDeg` counted from `baseDeg`, keeping the cursor's distance
+    // along the locked direction; `lengthStep` rounds that distance as well.
+    constrainAngle(a, p, baseDeg = 0, stepDeg = 45, lengthStep = 0) {
+        const dx = p.x - a.x;
+        const dy = p.y - a.y;
+        if (!dx && !dy) return { x: a.x, y: a.y };
+        const base = (baseDeg * Math.PI) / 180;
+        const step = (stepDeg * Math.PI) / 180;
+        const angle = base + Math.round((Math.atan2(dy, dx) - base) / step) * step;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        let length = dx * cos + dy * sin;
+        if (lengthStep > 0) length = Math.round(length / lengthStep) * lengthStep;
+        return { x: a.x + cos * length, y: a.y + sin * length };
+    },
+
+    // Nearest node of a square grid of `size` turned by `angleDeg` about the frame origin.
+    snapToGrid(p, size, angleDeg = 0) {
+        if (!(size > 0)) return { x: p.x, y: p.y };
+        const angle = (angleDeg * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const u = Math.round((p.x * cos + p.y * sin) / size) * size;
+        const v = Math.round((-p.x * sin + p.y * cos) / size) * size;
+        return { x: u * cos - v * sin, y: u * sin + v * cos };
+    },
+
+    // Grid lines covering the `corners` of the visible area, as [a, b] pairs in the same frame.
+    // Returns nothing when more than `maxLines` would be needed in either direction.
+    gridLines(corners, size, angleDeg = 0, maxLines = 200) {
+        if (!(size > 0) || !corners.length) return [];
+        const angle = (angleDeg * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const us = corners.map((p) => p.x * cos + p.y * sin);
+        const vs = corners.map((p) => -p.x * sin + p.y * cos);
+        const u0 = Math.floor(Math.min(...us) / size);
+        const u1 = Math.ceil(Math.max(...us) / size);
+        const v0 = Math.floor(Math.min(...vs) / size);
+        const v1 = Math.ceil(Math.max(...vs) / size);
+        if (u1 - u0 > maxLines || v1 - v0 > maxLines) return [];
+        const toFrame = (u, v) => ({ x: u * cos - v * sin, y: u * sin + v * cos });
+        const lines = [];
+        for (let i = u0; i <= u1; i++) lines.push([toFrame(i * size, v0 * size), toFrame(i * size, v1 * size)]);
+        for (let j = v0; j <= v1; j++) lines.push([toFrame(u0 * size, j * size), toFrame(u1 * size, j * size)]);
+        return lines;
+    },
+
+    // Nearest snap target within `tolerance` px. Point targets ({ x, y, kind }) beat edges
+    // (`segments` as [a, b] pairs), which snap to the closest point along the segment.
+    findSnap(cursor, targets, tolerance) {
+        let best = null;
+        let bestDist = tolerance;
+        (targets.points || []).forEach((p) => {
+            const d = Math.hypot(p.x - cursor.x, p.y - cursor.y);
+            if (d <= bestDist) {
+                bestDist = d;
+                best = { x: p.x, y: p.y, kind: p.kind || "vertex" };
+            }
+        });
+        if (best) return best;
+
+        (targets.segments || []).forEach(([a, b]) => {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lenSq = dx * dx + dy * dy;
+            const t = lenSq ? Math.max(0, Math.min(1, ((cursor.x - a.x) * dx + (cursor.y - a.y) * dy) / lenSq)) : 0;
+            const x = a.x + t * dx;
+            const y = a.y + t * dy;
+            const d = Math.hypot(x - cursor.x, y - cursor.y);
+            if (d <= bestDist) {
+                bestDist = d;
+                best = { x, y, kind: "edge" };
+            }
+        });
+        return best;
+    },
+
+    isClosedRing(points) {
+        if (!points || points.length < 4) return false;
+        const a = points[0];
+        const b = points[points.length - 1];
+        return (a.x ?? a.lng) === (b.x ?? b.lng) && (a.y ?? a.lat) === (b.y ?? b.lat);
+    },
+
+    // Vertex handles win over midpoint handles; `index` of a midpoint is the segment's start vertex.
+    hitTestVertices(x, y, points, options = {}) {
+        if (!points || !points.length) return null;
+        const tolerance = options.tolerance || 9;
+        const count = this.isClosedRing(points) ? points.length - 1 : points.length;
+        for (let i = 0; i < count; i++) {
+            if (Math.hypot(points[i].x - x, points[i].y - y) <= tolerance) return { type: "vertex", index: i };
+        }
+        if (options.midpoints === false) return null;
+        for (let i = 0; i < points.length - 1; i++) {
+            const mx = (points[i].x + points[i + 1].x) / 2;
+            const my = (points[i].y + points[i + 1].y) / 2;
+            if (Math.hypot(mx - x, my - y) <= tolerance) return { type: "midpoint", index: i };
+        }
+        return null;
+    },
+
+    // The helpers below return new point arrays and keep a closed ring closed.
+    moveVertex(points, index, point) {
+        const next = points.map((p) => ({ ...p }));
+        const closed = this.isClosedRing(points);
+        next[index] = { ...point };
+        if (closed && index === 0) next[next.length - 1] = { ...point };
+        return next;
+    },
+
+    insertVertex(points, segmentIndex, point) {
+        const next = points.map((p) => ({ ...p }));
+        next.splice(segmentIndex + 1, 0, { ...point });
+        return next;
+    },
+
+    // Null when the shape would drop below 2 points (open) or 3 corners (closed).
+    removeVertex(points, index) {
+        const closed = this.isClosedRing(points);
+        const count = closed ? points.length - 1 : points.length;
+        if (count <= (closed ? 3 : 2)) return null;
+        const next = points.map((p) => ({ ...p }));
+        next.splice(index, 1);
+        if (closed && index === 0) next[next.length - 1] = { ...next[0] };
+        return next;
+    },
+
     pointInPolygon(p, ring) {
         const x = p.x ?? p.lng;
         const y = p.y ?? p.lat;
@@ -372,6 +1284,187 @@ export const Geometry = {
         return inside;
     },
 
+    pathLength(path) {
+        let total = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            total += Math.hypot(path[i + 1].x - path[i].x, path[i + 1].y - path[i].y);
+        }
+        return total;
+    },
+
+    // Douglas-Peucker: indices of the {x,y} points to keep so no dropped point is further than
+    // `tolerance` from the simplified line. Iterative so long freehand strokes can't overflow the stack.
+    simplifyIndices(points, tolerance) {
+        const n = points.length;
+        if (n <= 2 || !(tolerance > 0)) return points.map((_, i) => i);
+        const keep = new Uint8Array(n);
+        keep[0] = keep[n - 1] = 1;
+        const stack = [[0, n - 1]];
+        while (stack.length) {
+            const [first, last] = stack.pop();
+            let maxDist = 0;
+            let index = -1;
+            for (let i = first + 1; i < last; i++) {
+                const d = this.pointToSegmentDistance(points[i].x, points[i].y, points[first], points[last]);
+                if (d > maxDist) {
+                    maxDist = d;
+                    index = i;
+                }
+            }
+            if (index >= 0 && maxDist > tolerance) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+        const result = [];
+        keep.forEach((k, i) => { if (k) result.push(i); });
+        return result;
+    },
+
+    // Chaikin corner cutting on {x,y} points. Open paths keep their end points; closed rings stay closed.
+    smooth(points, iterations = 1) {
+        let pts = points;
+        const closed = this.isClosedRing(points);
+        for (let it = 0; it < iterations && pts.length >= 3; it++) {
+            const src = closed ? pts.slice(0, -1) : pts;
+            const next = closed ? [] : [src[0]];
+            const count = closed ? src.length : src.length - 1;
+            for (let i = 0; i < count; i++) {
+                const a = src[i];
+                const b = src[(i + 1) % src.length];
+                next.push({ x: a.x * 0.75 + b.x * 0.25, y: a.y * 0.75 + b.y * 0.25 });
+                next.push({ x: a.x * 0.25 + b.x * 0.75, y: a.y * 0.25 + b.y * 0.75 });
+            }
+            if (closed) next.push({ ...next[0] });
+            else next.push(src[src.length - 1]);
+            pts = next;
+        }
+        return pts;
+    },
+
+    // Distances along a path of `length` for `count` evenly spread items (both ends included), or one
+    // every `spacing` units with the leftover split between both ends.
+    distributeAlong(length, options = {}) {
+        if (!(length > 0)) return [];
+        const { count, spacing } = options;
+        if (Number.isFinite(count) && count >= 1) {
+            const n = Math.min(500, Math.round(count));
+            if (n === 1) return [length / 2];
+            return Array.from({ length: n }, (_, i) => (length * i) / (n - 1));
+        }
+        if (Number.isFinite(spacing) && spacing > 0) {
+            const n = Math.min(500, Math.floor(length / spacing + 1e-9) + 1);
+            const margin = (length - (n - 1) * spacing) / 2;
+            return Array.from({ length: n }, (_, i) => margin + i * spacing);
+        }
+        return [];
+    },
+
+    // Closest position on a polyline: distance travelled along it, offset from it and the segment index.
+    projectOntoPath(p, path) {
+        let best = { along: 0, distance: Infinity, index: 0, point: null };
+        let acc = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = path[i];
+            const b = path[i + 1];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            let t = len ? ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / (len * len) : 0;
+            t = Math.max(0, Math.min(1, t));
+            const q = { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+            const d = Math.hypot(p.x - q.x, p.y - q.y);
+            if (d < best.distance) {
+                best = { along: acc + t * len, distance: d, index: i, point: q };
+            }
+            acc += len;
+        }
+        return best;
+    },
+
+    pointAlongPath(path, along) {
+        let acc = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            const a = path[i];
+            const b = path[i + 1];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            if (acc + len >= along && len > 0) {
+                const t = (along - acc) / len;
+                return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t, index: i, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+            }
+            acc += len;
+        }
+        const last = path[path.length - 1];
+        const prev = path[path.length - 2] || last;
+        return { x: last.x, y: last.y, index: Math.max(0, path.length - 2), angle: Math.atan2(last.y - prev.y, last.x - prev.x) };
+    },
+
+    // Portion of a path between two along-distances; on a closed ring `to < from` wraps past the start.
+    slicePath(path, from, to) {
+        const total = this.pathLength(path);
+        if (to < from) {
+            const head = this.slicePath(path, from, total);
+            const tail = this.slicePath(path, 0, to);
+            return head.concat(tail.slice(1));
+        }
+        const out = [this.pointAlongPath(path, from)];
+        let acc = 0;
+        for (let i = 0; i < path.length - 1; i++) {
+            acc += Math.hypot(path[i + 1].x - path[i].x, path[i + 1].y - path[i].y);
+            if (acc > from && acc < to) out.push({ x: path[i + 1].x, y: path[i + 1].y });
+        }
+        out.push(this.pointAlongPath(path, to));
+        return out.map((p) => ({ x: p.x, y: p.y }));
+    },
+
+    signedArea(ring) {
+        let sum = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    },
+
+    // Evenly spaced positions along a closed ring, moved `offset` units inside (> 0) or outside (< 0).
+    samplePerimeter(ring, spacing, offset = 0) {
+        const total = this.pathLength(ring);
+        if (!total || !(spacing > 0)) return [];
+        const count = Math.max(1, Math.round(total / spacing));
+        const step = total / count;
+        const inward = this.signedArea(ring) > 0 ? 1 : -1;
+        const out = [];
+        for (let i = 0; i < count; i++) {
+            const p = this.pointAlongPath(ring, i * step);
+            const nx = -Math.sin(p.angle) * inward;
+            const ny = Math.cos(p.angle) * inward;
+            out.push({ x: p.x + nx * offset, y: p.y + ny * offset, angle: p.angle, along: i * step });
+        }
+        return out;
+    },
+
+    orderByNearestNeighbour(points, start = null) {
+        const remaining = points.map((p, i) => i);
+        const order = [];
+        let current = start;
+        while (remaining.length) {
+            let bestIdx = 0;
+            if (current) {
+                let bestDist = Infinity;
+                remaining.forEach((idx, i) => {
+                    const d = Math.hypot(points[idx].x - current.x, points[idx].y - current.y);
+                    if (d < bestDist) {
+                        bestDist = d;
+                        bestIdx = i;
+                    }
+                });
+            }
+            const [next] = remaining.splice(bestIdx, 1);
+            order.push(next);
+            current = points[next];
+        }
+        return order;
+    },
+
     distanceToPolygon(p, ring) {
         const x = p.x ?? p.lng;
         const y = p.y ?? p.lat;
@@ -388,3 +1481,372 @@ export const Geometry = {
         return minDist;
     }
 };
+
+export const Stations = {
+    types: ["trap", "bait", "flykiller", "insect_trap", "foam", "detector"],
+    activityLevels: ["none", "low", "medium", "high"],
+
+    numbering: {
+        trap: { prefix: "T-", start: 1, pad: 2 },
+        bait: { prefix: "B-", start: 1, pad: 2 },
+        flykiller: { prefix: "F-", start: 1, pad: 2 },
+        insect_trap: { prefix: "I-", start: 1, pad: 2 },
+        foam: { prefix: "S-", start: 1, pad: 2 },
+        detector: { prefix: "D-", start: 1, pad: 2 }
+    },
+
+    statuses: ["active", "missing", "damaged", "removed"],
+
+    isStation(type) {
+        return this.types.includes(type);
+    },
+
+    // The status filter only applies to icons; lines, areas, notes and zones carry no status.
+    isVisible(feature, statusFilter) {
+        if (!statusFilter || !AssetManager.get(feature.type)) return true;
+        return statusFilter.includes(feature.status || "active");
+    },
+
+    // `numbering` holds the defaults; each building keeps its own overrides in a `scheme`
+    // ({ type: { prefix, start, pad } }) that the functions below take as their last argument.
+    numberingFor(type, scheme) {
+        return { ...this.numbering[type], ...(scheme?.[type] || {}) };
+    },
+
+    setNumbering(scheme, type, prefix, start, pad) {
+        if (!this.isStation(type) || !scheme) return false;
+        const cfg = scheme[type] || (scheme[type] = {});
+        if (typeof prefix === "string") cfg.prefix = prefix;
+        if (Number.isFinite(start)) cfg.start = Math.max(0, Math.round(start));
+        if (Number.isFinite(pad)) cfg.pad = Math.max(0, Math.round(pad));
+        return true;
+    },
+
+    // Keeps only valid overrides from imported data.
+    normalizeScheme(data) {
+        const scheme = {};
+        if (!data || typeof data !== "object") return scheme;
+        Object.keys(data).forEach((type) => {
+            const cfg = data[type] || {};
+            this.setNumbering(scheme, type, cfg.prefix, cfg.start, cfg.pad);
+        });
+        return scheme;
+    },
+
+    // Imported `type -> next number` counters, dropping anything that is not a station count.
+    normalizeCounters(data) {
+        const counters = {};
+        if (!data || typeof data !== "object") return counters;
+        Object.keys(data).forEach((type) => {
+            if (this.isStation(type) && Number.isFinite(data[type])) counters[type] = Math.max(0, Math.round(data[type]));
+        });
+        return counters;
+    },
+
+    // Raises `counters` past every number already in use, e.g. after loading stations.
+    seedCounters(counters, stations) {
+        stations.forEach((f) => {
+            if (!this.isStation(f.type) || !Number.isFinite(f.number)) return;
+            counters[f.type] = Math.max(counters[f.type] ?? 0, f.number + 1);
+        });
+        return counters;
+    },
+
+    formatLabel(type, number, scheme) {
+        if (!this.isStation(type) || !Number.isFinite(number)) return null;
+        const cfg = this.numberingFor(type, scheme);
+        return `${cfg.prefix}${String(number).padStart(cfg.pad || 0, "0")}`;
+    },
+
+    // Gives the feature the next free number for its type. `siblings` are all stations of the
+    // same building; `counters` remembers the highest number handed out so deletes never cause reuse.
+    assignNumber(feature, siblings, counters, scheme) {
+        if (!feature || !this.isStation(feature.type)) return;
+        const start = this.numberingFor(feature.type, scheme).start;
+        const used = siblings
+            .filter((f) => f !== feature && f.type === feature.type && Number.isFinite(f.number))
+            .map((f) => f.number);
+        const next = Math.max(start, counters[feature.type] ?? start, used.length ? Math.max(...used) + 1 : start);
+        feature.number = next;
+        counters[feature.type] = next + 1;
+    },
+
+    // Renumbers stations per type following the given order; returns the new counters.
+    renumber(ordered, types = null, scheme) {
+        const counters = {};
+        ordered.forEach((f) => {
+            if (!this.isStation(f.type)) return;
+            if (types && !types.includes(f.type)) return;
+            const next = counters[f.type] ?? this.numberingFor(f.type, scheme).start;
+            f.number = next;
+            counters[f.type] = next + 1;
+        });
+        return counters;
+    },
+
+    normalizeInspection(visit, existing = {}) {
+        const src = { ...existing, ...(visit || {}) };
+
+        let activity = src.activity;
+        if (typeof activity === "string") {
+            const idx = this.activityLevels.indexOf(activity.toLowerCase());
+            activity = idx >= 0 ? idx : parseInt(activity, 10);
+        }
+        activity = Number.isFinite(activity) ? Math.max(0, Math.min(this.activityLevels.length - 1, Math.round(activity))) : 0;
+
+        let consumption = src.baitConsumption;
+        if (consumption === "" || consumption === undefined) consumption = null;
+        consumption = consumption === null ? null : Math.max(0, Math.min(100, Number(consumption) || 0));
+
+        const date = new Date(src.date || Date.now());
+
+        return {
+            id: src.id || crypto.randomUUID(),
+            date: isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString(),
+            technician: src.technician || "",
+            activity,
+            baitConsumption: consumption,
+            condition: src.condition || "ok",
+            notes: src.notes || ""
+        };
+    },
+
+    // Mean activity (0..1) of the inspections inside the date range, or null when there are none.
+    activityScore(inspections, filter = {}) {
+        const list = this.filterInspections(inspections, filter);
+        if (!list.length) return null;
+        const max = this.activityLevels.length - 1;
+        return list.reduce((sum, i) => sum + (i.activity || 0), 0) / list.length / max;
+    },
+
+    filterInspections(list, filter = {}) {
+        if (!Array.isArray(list)) return [];
+        const from = filter.from ? new Date(filter.from).getTime() : -Infinity;
+        const to = filter.to ? new Date(filter.to).getTime() : Infinity;
+        return list
+            .filter((i) => {
+                const t = new Date(i.date).getTime();
+                if (t < from || t > to) return false;
+                if (filter.technician && i.technician !== filter.technician) return false;
+                if (typeof filter.minActivity === "number" && i.activity < filter.minActivity) return false;
+                return true;
+            })
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+};
+
+// Declarative layout rules. A scene holds point features ({ id, type, x, y, label }) and zones
+// ({ id, name, category, ring }) in local meters, plus the building outline ring when known.
+export const Compliance = {
+    rules: [],
+    kinds: ["forbiddenInZone", "minDistance", "requiredNear", "minCountInZone"],
+
+    load(json) {
+        let data = json;
+        try {
+            if (typeof data === "string") data = JSON.parse(data);
+        } catch (err) {
+            console.warn("[renderCore] Invalid compliance rules", err);
+            return 0;
+        }
+        const list = Array.isArray(data) ? data : (data?.rules || []);
+        this.rules = list
+            .filter((r) => r && this.kinds.includes(r.kind))
+            .map((r, i) => ({ ...r, id: r.id || `rule-${i + 1}`, severity: r.severity || "error" }));
+        return this.rules.length;
+    },
+
+    evaluate(scene, rules = this.rules) {
+        const violations = [];
+        const zonesIn = (categories) => scene.zones.filter((z) => !categories || categories.includes(z.category));
+        const matches = (f, selector) => !selector?.types || selector.types.includes(f.type);
+        const distanceToZone = (f, zone) =>
+            Geometry.pointInPolygon(f, zone.ring) ? 0 : Geometry.distanceToPolygon(f, zone.ring);
+        const describe = (f) => f.label || f.type;
+
+        rules.forEach((rule) => {
+            const tolerance = rule.outlineToleranceMeters ?? 1.5;
+            const subjects = scene.features.filter((f) => {
+                if (!matches(f, rule.subject)) return false;
+                if (rule.subject?.onOutline) {
+                    return !!scene.outline && Geometry.distanceToPolygon(f, scene.outline) <= tolerance;
+                }
+                return true;
+            });
+            const report = (featureId, zoneId, message) => violations.push({
+                ruleId: rule.id,
+                ruleName: rule.name || rule.id,
+                severity: rule.severity,
+                featureId,
+                zoneId,
+                message: rule.message || message
+            });
+
+            switch (rule.kind) {
+                case "forbiddenInZone": {
+                    const zones = zonesIn(rule.zoneCategories);
+                    subjects.forEach((f) => {
+                        const zone = zones.find((z) => Geometry.pointInPolygon(f, z.ring));
+                        if (zone) report(f.id, zone.id, `${describe(f)} is inside ${zone.name || zone.category}`);
+                    });
+                    break;
+                }
+                case "minDistance": {
+                    const meters = rule.meters ?? 0;
+                    const targets = rule.target?.types ? scene.features.filter((t) => matches(t, rule.target)) : [];
+                    const zones = rule.target?.zoneCategories ? zonesIn(rule.target.zoneCategories) : [];
+                    subjects.forEach((f) => {
+                        const near = targets.find((t) => t.id !== f.id && Math.hypot(t.x - f.x, t.y - f.y) < meters);
+                        if (near) {
+                            report(f.id, null, `${describe(f)} is within ${meters} m of ${describe(near)}`);
+                            return;
+                        }
+                        const zone = zones.find((z) => distanceToZone(f, z) < meters);
+                        if (zone) report(f.id, zone.id, `${describe(f)} is within ${meters} m of ${zone.name || zone.category}`);
+                    });
+                    break;
+                }
+                case "requiredNear": {
+                    const meters = rule.meters ?? 0;
+                    const targets = scene.features.filter((t) => matches(t, rule.target));
+                    subjects.forEach((f) => {
+                        const ok = targets.some((t) => t.id !== f.id && Math.hypot(t.x - f.x, t.y - f.y) <= meters);
+                        if (!ok) report(f.id, null, `${describe(f)} has no ${(rule.target?.types || ["station"]).join("/")} within ${meters} m`);
+                    });
+                    break;
+                }
+                case "minCountInZone": {
+                    const min = rule.min ?? 1;
+                    zonesIn(rule.zoneCategories).forEach((zone) => {
+                        const count = scene.features.filter((t) => matches(t, rule.target) && Geometry.pointInPolygon(t, zone.ring)).length;
+                        if (count < min) report(null, zone.id, `${zone.name || zone.category} has ${count} of ${min} required stations`);
+                    });
+                    break;
+                }
+                default:
+                    break;
+            }
+        });
+        return violations;
+    }
+};
+
+export const Zones = {
+    categories: ["food_handling", "storage", "office", "outdoor"],
+    riskLevels: ["low", "medium", "high"],
+    patterns: ["solid", "hatch", "cross", "dots"],
+    colors: {
+        food_handling: "#dc2626",
+        storage: "#2563eb",
+        office: "#64748b",
+        outdoor: "#16a34a"
+    },
+
+    normalize(props = {}, existing = {}) {
+        const src = { ...existing, ...(props || {}) };
+        return {
+            name: src.name || "",
+            category: this.categories.includes(src.category) ? src.category : "storage",
+            riskLevel: this.riskLevels.includes(src.riskLevel) ? src.riskLevel : "low",
+            pattern: this.patterns.includes(src.pattern) ? src.pattern : "solid"
+        };
+    },
+
+    // Innermost zone containing the lng/lat point; `zones` carry a closed lng/lat `ring`.
+    findContaining(point, zones) {
+        let best = null;
+        let bestArea = Infinity;
+        zones.forEach((zone) => {
+            if (!zone.ring || zone.ring.length < 4 || !Geometry.pointInPolygon(point, zone.ring)) return;
+            const area = Math.abs(Geometry.signedArea(zone.ring.map((p) => ({ x: p.lng, y: p.lat }))));
+            if (area < bestArea) {
+                bestArea = area;
+                best = zone;
+            }
+        });
+        return best;
+    }
+};
+
+export const Inventory = {
+    // Builds a building > floor > zone tree of station counts from flat
+    // `{ building, floor, zoneId, zone, type, product, status }` items. Zones are told apart by
+    // id, so two zones sharing a name stay separate; `zone` is only the name shown.
+    summarize(items, options = {}) {
+        const includeRemoved = !!options.includeRemoved;
+        const summary = { total: 0, byType: {}, byProduct: {}, buildings: [], rows: [] };
+        const buildings = new Map();
+        const rows = new Map();
+        const bump = (obj, key) => { obj[key] = (obj[key] || 0) + 1; };
+
+        items.forEach((item) => {
+            if (!Stations.isStation(item.type)) return;
+            if (!includeRemoved && item.status === "removed") return;
+            const product = item.product || "";
+            const floorName = item.floor || "";
+            const zoneName = item.zone || "";
+            const zoneKey = item.zoneId ?? "";
+
+            let building = buildings.get(item.building);
+            if (!building) {
+                building = { id: item.building, total: 0, byType: {}, byProduct: {}, floors: new Map() };
+                buildings.set(item.building, building);
+            }
+            let floor = building.floors.get(floorName);
+            if (!floor) {
+                floor = { name: floorName, total: 0, byType: {}, byProduct: {}, zones: new Map() };
+                building.floors.set(floorName, floor);
+            }
+            let zone = floor.zones.get(zoneKey);
+            if (!zone) {
+                zone = { id: item.zoneId ?? null, name: zoneName, total: 0, byType: {}, byProduct: {} };
+                floor.zones.set(zoneKey, zone);
+            }
+
+            [summary, building, floor, zone].forEach((node) => {
+                node.total++;
+                bump(node.byType, item.type);
+                if (product) bump(node.byProduct, product);
+            });
+
+            const rowKey = [item.building, floorName, zoneKey, item.type, product].join("\u0000");
+            const row = rows.get(rowKey);
+            if (row) row.count++;
+            else rows.set(rowKey, { building: item.building, floor: floorName, zoneId: item.zoneId ?? null, zone: zoneName, type: item.type, product, count: 1 });
+        });
+
+        summary.buildings = [...buildings.values()].map((b) => ({
+            ...b,
+            floors: [...b.floors.values()].map((f) => ({ ...f, zones: [...f.zones.values()] }))
+        }));
+        summary.rows = [...rows.values()];
+        return summary;
+    },
+
+    toCsv(summary) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? "" : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = ["building,floor,zone,type,product,count"];
+        (summary?.rows || []).forEach((r) => {
+            lines.push([r.building, r.floor, r.zone, r.type, r.product, r.count].map(escape).join(","));
+        });
+        return lines.join("\r\n");
+    }
+};
+
+export const Files = {
+    // Saves a Blob, or text wrapped in one of MIME `type`, through a temporary download link.
+    download(filename, content, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+};